@@ -1,3 +1,5 @@
+const CattrUsers = require('./resources/users');
+
 /**
  * Token entity
  * @typedef  {Object} TokenEntity
@@ -6,29 +8,6 @@
  * @property {Date}   tokenExpire Access token expiration date
  */
 
-/**
- * User entity
- * @typedef  {Object} UserEntity
- * @property {Number} id ID
- * @property {String} fullName Full name
- * @property {String} email Email
- * @property {String|null} avatar Profile picture URL
- * @property {Boolean} screenshotsEnabled Is screenshot capture enabled?
- * @property {Boolean} manualTimeEnabled Is manual time available?
- * @property {Number} inactivityTimeout Inactivity detection period in seconds
- * @property {Number} screenshotsInterval Maximum interval between screenshot capture
- * @property {Boolean} isActive Is this user active?
- * @property {Boolean} isAdmin  Is this user have administration privileges?
- * @property {Boolean} important Is this user marked as important?
- * @property {Boolean} forcePasswordReset Is this user enforced to change their password?
- * @property {String} timezone User's timezone (like 'Europe/Moscow')
- * @property {RoleEntity} role Default role
- * @property {Array<ProjectRole>} projectsRoles Project-specific roles
- * @property {Date} createdAt Date of creation
- * @property {Date} updatedAt Last update timestamp
- * @property {Date|null} deletedAt Date of removal
- */
-
 /**
  * Authentication data response
  * @typedef  {Object} UserLoginDTO
@@ -43,44 +22,13 @@ module.exports = $ => {
 
   const ops = {};
 
-  /**
-   * Format UserEntity
-   * @param {Object} user Raw object representing user
-   * @returns {UserEntity}
-   */
-  const userFormatter = user => {
-
-    const formattedOut = {
-
-      id: Number(user.id),
-      fullName: String(user.full_name),
-      email: String(user.email),
-      avatar: user.avatar ? String(user.avatar) : null,
-      manualTimeEnabled: Boolean(user.manual_time),
-      inactivityTimeout: Number(user.computer_time_popup),
-      screenshotsState: Number(user.screenshots_state),
-      screenshotsInterval: Number(user.screenshots_interval),
-      appMonitoringEnabled: Boolean(user.web_and_app_monitoring),
-      isActive: Boolean(user.active),
-      isAdmin: Boolean(user.is_admin),
-      isImportant: Boolean(user.important),
-      forcePasswordReset: Boolean(user.change_password),
-      timezone: String(user.timezone),
-      createdAt: new Date(user.created_at),
-      updatedAt: new Date(user.updated_at),
-      deletedAt: user.deleted_at ? new Date(user.deleted_at) : null,
-    };
-
-    return formattedOut;
-
-  };
-
   /**
    * Perform login
    * @async
    * @param {String} email Email
    * @param {String} password Password
    * @returns {Promise<UserLoginDTO>} User's properties with token data if succeed
+   * @fires Cattr#login
    */
   ops.login = async (email, password) => {
 
@@ -107,25 +55,31 @@ module.exports = $ => {
     /* if (res.response.data.success !== true)
       throw new $.ApiError(0, 'unexpected_structure', `${JSON.stringify(res.response.data)}`); */
 
-    return {
+    const result = {
       token: {
         token: res.response.data.access_token,
         tokenType: res.response.data.token_type,
         tokenExpire: new Date(res.response.data.expires_in),
       },
-      user: userFormatter(res.response.data.user)
+      user: CattrUsers.represent(res.response.data.user)
     };
 
+    // Token is stored by the caller, but services like token refresher need to know about it right away
+    $.emit('login', result.token, result.user);
+
+    return result;
+
   };
 
   /**
    * Get user properties
    * @async
-   * @returns {Promise<Object>} User's properties
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<UserEntity>} User's properties
    */
-  ops.me = async () => {
+  ops.me = async (opts = {}) => {
 
-    const res = await $.get('auth/me', {});
+    const res = await $.get('auth/me', opts);
     if (!res.success) {
 
       if (res.isNetworkError)
@@ -141,12 +95,12 @@ module.exports = $ => {
     /* if (!res.response.data.success || typeof res.response.data.user !== 'object')
       throw new $.ApiError(0, 'unexpected_structure', 'Incorrect response structure');  */
 
-    return userFormatter(res.response.data);
+    return CattrUsers.represent(res.response.data);
 
   };
 
   /**
-   * Logout
+   * Logout, clearing token and credentials providers
    * @async
    * @param {Boolean} [fromAll=false] Logout from all
    * @returns {Promise<Boolean>} Returns true if succeed
@@ -167,6 +121,11 @@ module.exports = $ => {
 
     }
 
+    // Forget stored token and credentials, otherwise client would log in again automatically
+    await Promise.all([ $.providers.token, $.providers.credentials ]
+      .filter(provider => provider && typeof provider.clear === 'function')
+      .map(provider => provider.clear()));
+
     return true;
 
   };
@@ -179,7 +138,7 @@ module.exports = $ => {
    */
   ops.refresh = async (relogin = false) => {
 
-    const res = await $.post('auth/refresh', {}, { noRelogin: !relogin });
+    const res = await $.post('auth/refresh', {}, { noRelogin: !relogin, noAuthWait: true });
     if (!res.success) {
 
       if (res.isNetworkError)
@@ -274,15 +233,20 @@ module.exports = $ => {
 
     }
 
-    return {
+    const result = {
       token: {
         token: res.response.data.access_token,
         tokenType: res.response.data.token_type,
         tokenExpire: new Date(res.response.data.expires_in),
       },
-      user: userFormatter(res.response.data.user)
+      user: CattrUsers.represent(res.response.data.user)
     };
 
+    // Token is stored by the caller, but services like token refresher need to know about it right away
+    $.emit('login', result.token, result.user);
+
+    return result;
+
   };
 
   return ops;
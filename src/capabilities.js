@@ -0,0 +1,82 @@
+/**
+ * Server features and the minimal server versions providing them. Only features added by this client
+ * are listed, endpoints used before are never gated. Bulk interval creation is only an optimization,
+ * so a wrong guess falls back to separate requests, same as backend answering 404 to the bulk request.
+ * @type {Object<String>}
+ */
+const FEATURES = {
+  bulkIntervalCreate: '4.1.0',
+};
+
+/**
+ * Server information and available features
+ * @typedef  {Object}        Capabilities
+ * @property {String|null}   version            Server version
+ * @property {String|null}   instanceId         Server instance ID
+ * @property {Boolean}       bulkIntervalCreate Is bulk interval creation available?
+ */
+
+/**
+ * Parses version string into numeric parts, ignoring "v" prefix and pre-release suffix
+ * @param {String} version Version (like "v4.1.2-beta")
+ * @returns {Array<Number>|null} Major, minor and patch numbers, or null if version is not recognized
+ */
+const parseVersion = version => {
+
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?/.exec(String(version).trim());
+  if (!match)
+    return null;
+
+  return match.slice(1).map(part => Number(part || 0));
+
+};
+
+/**
+ * Compares versions
+ * @param {String} a Version
+ * @param {String} b Version
+ * @returns {Number|null} Negative if a is older than b, positive if newer, 0 if equal, null if any is not recognized
+ */
+const compareVersions = (a, b) => {
+
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+
+  if (!left || !right)
+    return null;
+
+  const index = left.findIndex((part, i) => part !== right[i]);
+  return index === -1 ? 0 : left[index] - right[index];
+
+};
+
+/**
+ * Resolves capabilities from the /about response
+ * @param {Object|null} about Server information returned by Company#about
+ * @returns {Capabilities}
+ */
+const resolve = about => {
+
+  const version = about?.app?.version ? String(about.app.version) : null;
+  const capabilities = {
+    version,
+    instanceId: about?.app?.instance_id ? String(about.app.instance_id) : null,
+  };
+
+  // Unrecognized versions are treated as capable, backend reports missing endpoints itself
+  Object.entries(FEATURES).forEach(([ feature, since ]) => {
+
+    capabilities[feature] = compareVersions(version, since) === null || compareVersions(version, since) >= 0;
+
+  });
+
+  return capabilities;
+
+};
+
+module.exports = {
+  FEATURES,
+  parseVersion,
+  compareVersions,
+  resolve,
+};
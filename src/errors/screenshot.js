@@ -0,0 +1,23 @@
+/**
+ * Extended Error class representing a screenshot which cannot be prepared for upload
+ * @class
+ * @extends Error
+ */
+class ScreenshotError extends Error {
+
+  /**
+   * Creates new error
+   * @param {String} message Human-readable description of the problem
+   * @param {String} reason  Failure reason, "unsupported-format" or "too-large"
+   */
+  constructor(message, reason) {
+
+    super(message);
+    this.reason = reason;
+    this.isScreenshotError = true;
+
+  }
+
+}
+
+module.exports = ScreenshotError;
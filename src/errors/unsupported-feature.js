@@ -0,0 +1,26 @@
+/**
+ * Extended Error class representing a feature missing on the connected server
+ * @class
+ * @extends Error
+ */
+class UnsupportedFeatureError extends Error {
+
+  /**
+   * Creates new error
+   * @param {String}      feature         Feature name (like "bulkIntervalCreate")
+   * @param {String|null} serverVersion   Version of the connected server
+   * @param {String}      requiredVersion Minimal server version providing the feature
+   */
+  constructor(feature, serverVersion, requiredVersion) {
+
+    super(`Feature "${feature}" requires Cattr ${requiredVersion} or newer, but server runs ${serverVersion || 'unknown version'}`);
+    this.feature = feature;
+    this.serverVersion = serverVersion;
+    this.requiredVersion = requiredVersion;
+    this.isUnsupportedFeatureError = true;
+
+  }
+
+}
+
+module.exports = UnsupportedFeatureError;
@@ -0,0 +1,29 @@
+/**
+ * Validation failure of the single field
+ * @typedef  {Object} ValidationIssue
+ * @property {String} field   Name of the offending field
+ * @property {String} message Human-readable description of the problem
+ */
+
+/**
+ * Extended Error class representing a client-side validation error
+ * @class
+ * @extends Error
+ */
+class ValidationError extends Error {
+
+  /**
+   * Creates new error
+   * @param {Array<ValidationIssue>} errors Every offending field
+   */
+  constructor(errors) {
+
+    super(errors.map(({ field, message }) => `${field}: ${message}`).join('; '));
+    this.errors = errors;
+    this.isValidationError = true;
+
+  }
+
+}
+
+module.exports = ValidationError;
@@ -0,0 +1,23 @@
+/**
+ * Maps DTO properties to the API fields. Undefined properties are skipped,
+ * unknown ones are passed as is, so raw API fields are still accepted.
+ * @param {Object} dto DTO with camelCase properties
+ * @param {Object<String>} fields Mapping of DTO properties to the API fields
+ * @returns {Object} Request fields
+ */
+const mapFields = (dto, fields) => {
+
+  const reqData = {};
+
+  Object.entries(dto).forEach(([ key, value ]) => {
+
+    if (typeof value !== 'undefined')
+      reqData[fields[key] || key] = value;
+
+  });
+
+  return reqData;
+
+};
+
+module.exports = { mapFields };
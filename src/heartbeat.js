@@ -0,0 +1,367 @@
+const Retry = require('./retry');
+
+/**
+ * Heartbeat options
+ * @typedef  {Object} HeartbeatOptions
+ * @property {Number} [period=30]      Heartbeat period in seconds, used if it is not set in the company settings
+ * @property {Number} [minDelay=1000]  Delay before the first retry of the failed beat, in milliseconds
+ * @property {Number} [maxDelay=60000] Maximum delay between retries of the failed beat, in milliseconds
+ * @property {Number} [refreshEvery=10] Amount of successful beats after which heartbeat period is re-read
+ */
+
+/**
+ * Sends heartbeats with the period set in company settings.
+ * Failed beats are retried with exponential backoff. While backend is offline regular beats are paused,
+ * and beats are sent as backoff probes instead, the first successful one resumes regular beats.
+ */
+class Heartbeat {
+
+  /**
+   * Initializes heartbeat service
+   * @param {Cattr} ctx Base class context
+   */
+  constructor(ctx) {
+
+    this.$ = ctx;
+
+    /**
+     * Heartbeat period used if it is not set in the company settings, in seconds
+     * @type {Number}
+     */
+    this.defaultPeriod = 30;
+
+    /**
+     * Backoff policy applied to failed beats
+     * @type {RetryPolicy}
+     */
+    this.backoff = {
+      minDelay: 1000, maxDelay: 60000, factor: 2, jitter: true,
+    };
+
+    /**
+     * Amount of successful beats after which heartbeat period is re-read from the server
+     * @type {Number}
+     */
+    this.refreshEvery = 10;
+
+    /**
+     * Amount of successful beats since the last period re-read
+     * @type {Number}
+     */
+    this.beatsSinceRefresh = 0;
+
+    /**
+     * Is beat being sent right now?
+     * @type {Boolean}
+     */
+    this.isBeating = false;
+
+    /**
+     * Current heartbeat period, in seconds
+     * @type {Number|null}
+     */
+    this.period = null;
+
+    /**
+     * Is service running?
+     * @type {Boolean}
+     */
+    this.isRunning = false;
+
+    /**
+     * Are beats paused because backend is offline?
+     * @type {Boolean}
+     */
+    this.isPaused = false;
+
+    /**
+     * Amount of consecutive failed beats
+     * @type {Number}
+     */
+    this.failures = 0;
+
+    /**
+     * Date of the last successful beat
+     * @type {Date|null}
+     */
+    this.lastBeatAt = null;
+
+    /**
+     * Pending beat timer
+     * @type {Timeout|null}
+     */
+    this.timer = null;
+
+    this.onSettingsChanged = settings => this.setPeriod(settings.heartbeatPeriod);
+    this.onOffline = () => this.pause();
+    this.onOnline = () => this.resume();
+
+  }
+
+  /**
+   * Starts sending heartbeats
+   * @async
+   * @param {HeartbeatOptions} [opts] Heartbeat options
+   * @returns {Promise<void>}
+   */
+  async start(opts = {}) {
+
+    [ 'period', 'minDelay', 'maxDelay', 'refreshEvery' ].forEach(option => {
+
+      if (typeof opts[option] !== 'undefined' && (typeof opts[option] !== 'number' || opts[option] <= 0))
+        throw new TypeError(`Heartbeat ${option} must be a positive number, but ${opts[option]} given`);
+
+    });
+
+    if (typeof opts.period !== 'undefined')
+      this.defaultPeriod = opts.period;
+
+    if (typeof opts.minDelay !== 'undefined')
+      this.backoff.minDelay = opts.minDelay;
+
+    if (typeof opts.maxDelay !== 'undefined')
+      this.backoff.maxDelay = opts.maxDelay;
+
+    if (typeof opts.refreshEvery !== 'undefined')
+      this.refreshEvery = opts.refreshEvery;
+
+    if (this.isRunning)
+      return;
+
+    this.isRunning = true;
+    this.isPaused = !this.$.isOnline;
+    this.failures = 0;
+    this.beatsSinceRefresh = 0;
+
+    this.$.on('settings:changed', this.onSettingsChanged);
+    this.$.on('offline', this.onOffline);
+    this.$.on('online', this.onOnline);
+
+    let period = null;
+
+    try {
+
+      period = await this.$.company.heartbeatInterval();
+
+    } catch (err) {
+
+      // Default period is used until settings are fetched successfully
+      period = null;
+
+    }
+
+    // Service could be stopped while settings were fetched
+    if (!this.isRunning)
+      return;
+
+    this.period = period || this.defaultPeriod;
+
+    // Offline client is probed by the same beat, its success resumes regular beats
+    this.beatInBackground();
+
+  }
+
+  /**
+   * Stops sending heartbeats
+   */
+  stop() {
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.$.removeListener('settings:changed', this.onSettingsChanged);
+    this.$.removeListener('offline', this.onOffline);
+    this.$.removeListener('online', this.onOnline);
+    this.clearTimer();
+
+  }
+
+  /**
+   * Pauses regular beats while backend is offline, probing it with backoff instead
+   */
+  pause() {
+
+    if (!this.isRunning || this.isPaused)
+      return;
+
+    this.isPaused = true;
+    this.$.emit('heartbeat:paused');
+
+    // Failed beat schedules the probe itself
+    if (!this.isBeating && this.period !== null)
+      this.schedule(Retry.getDelay(this.backoff, Math.max(1, this.failures), {}));
+
+  }
+
+  /**
+   * Resumes beats once backend is reachable again
+   */
+  resume() {
+
+    if (!this.isRunning || !this.isPaused)
+      return;
+
+    this.isPaused = false;
+    this.$.emit('heartbeat:resumed');
+
+    // Start could still be fetching the period, and the running beat schedules the next one itself
+    if (this.period !== null && !this.isBeating)
+      this.beatInBackground();
+
+  }
+
+  /**
+   * Applies new heartbeat period, rescheduling the next beat
+   * @param {Number|null} period Heartbeat period in seconds
+   */
+  setPeriod(period) {
+
+    const next = period || this.defaultPeriod;
+    if (next === this.period)
+      return;
+
+    this.period = next;
+
+    // Failed beats keep their backoff schedule
+    if (this.isRunning && !this.isPaused && this.failures === 0) {
+
+      const elapsed = this.lastBeatAt ? Date.now() - this.lastBeatAt.getTime() : 0;
+      this.schedule(Math.max(0, this.period * 1000 - elapsed));
+
+    }
+
+  }
+
+  /**
+   * Sends heartbeat and schedules the next one
+   * @async
+   * @returns {Promise<Boolean>} Is beat successful?
+   */
+  async beat() {
+
+    this.clearTimer();
+    this.isBeating = true;
+
+    try {
+
+      await this.$.company.heartBeat();
+
+    } catch (err) {
+
+      this.isBeating = false;
+      this.failures += 1;
+
+      // Offline backend is probed with growing delays until the beat succeeds
+      if (this.isRunning) {
+
+        const delay = Retry.getDelay(this.backoff, this.failures, {});
+        this.schedule(this.isPaused ? delay : Math.min(delay, this.period * 1000));
+
+      }
+
+      this.$.emit('heartbeat:missed', err, this.failures);
+      return false;
+
+    }
+
+    this.isBeating = false;
+    this.failures = 0;
+    this.lastBeatAt = new Date();
+
+    // Next beat is scheduled before listeners are called, so throwing ones don't stop the service
+    if (this.isRunning)
+      this.schedule(this.period * 1000);
+
+    this.$.emit('heartbeat', this.lastBeatAt);
+
+    if (!this.isRunning)
+      return true;
+
+    // Successful probe resumes regular beats even if no "online" event is emitted
+    if (this.isPaused) {
+
+      this.isPaused = false;
+      this.$.emit('heartbeat:resumed');
+
+    }
+
+    this.beatsSinceRefresh += 1;
+    if (this.beatsSinceRefresh >= this.refreshEvery) {
+
+      this.beatsSinceRefresh = 0;
+      await this.refreshPeriod();
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Sends heartbeat without waiting for it, unexpected failures (like throwing listeners) are reported
+   * by the "heartbeat:error" event
+   */
+  beatInBackground() {
+
+    this.beat().catch(err => this.$.emit('heartbeat:error', err));
+
+  }
+
+  /**
+   * Re-reads heartbeat period from the server, keeping the current one on failure
+   * @async
+   * @returns {Promise<void>}
+   */
+  async refreshPeriod() {
+
+    try {
+
+      const period = await this.$.company.heartbeatInterval();
+      if (this.isRunning)
+        this.setPeriod(period);
+
+    } catch (err) {
+
+      // Period is re-read after the next batch of beats
+
+    }
+
+  }
+
+  /**
+   * Schedules the next beat
+   * @param {Number} delay Delay in milliseconds
+   */
+  schedule(delay) {
+
+    this.clearTimer();
+
+    this.timer = setTimeout(() => {
+
+      this.timer = null;
+      this.beatInBackground();
+
+    }, delay);
+
+    // Service should never keep the process alive
+    if (typeof this.timer.unref === 'function')
+      this.timer.unref();
+
+  }
+
+  /**
+   * Cancels the pending beat
+   */
+  clearTimer() {
+
+    if (this.timer) {
+
+      clearTimeout(this.timer);
+      this.timer = null;
+
+    }
+
+  }
+
+}
+
+module.exports = Heartbeat;
@@ -1,42 +1,193 @@
+const EventEmitter = require('events');
 const axios = require('axios');
 const ApiError = require('./errors/api');
 const NetworkError = require('./errors/network');
 const CredentialsError = require('./errors/credentials');
+const ValidationError = require('./errors/validation');
+const UnsupportedFeatureError = require('./errors/unsupported-feature');
+const ScreenshotError = require('./errors/screenshot');
 const Authentication = require('./authentication');
 const Projects = require('./resources/projects');
 const Tasks = require('./resources/tasks');
+const Users = require('./resources/users');
 const Time = require('./resources/time');
 const Screenshots = require('./resources/screenshots');
 const Intervals = require('./resources/intervals');
 const Company = require('./resources/company');
 const OfflineSync = require('./resources/offline-sync');
+const Retry = require('./retry');
+const TokenRefresher = require('./token-refresher');
+const IntervalQueue = require('./interval-queue');
+const Heartbeat = require('./heartbeat');
+const Capabilities = require('./capabilities');
+const Providers = require('./providers');
 
 /**
  * Some entity (like token or credentials) provider interface
  * @typedef {Object} EntityProvider
- * @property {Function} get Returns this entity value
- * @property {Function} set Sets this entity value
+ * @property {Function} get     Returns this entity value
+ * @property {Function} set     Sets this entity value
+ * @property {Function} [clear] Forgets this entity value, called on logout
  */
 
 /**
  * Request options
  * @typedef {Object} RequestOptions
+ * @property {Object}  [body]       Object to be sent
+ * @property {Object}  [query]      Query string parameters
  * @property {Object}  [headers]    Additional headers
+ * @property {Number}  [timeout]    Request timeout in milliseconds
+ * @property {String}  [responseType] Axios response type, like "arraybuffer" or "stream" for binary downloads
  * @property {Boolean} [noAuth]     Do not authenticate this request
+ * @property {Boolean} [noRelogin]  Do not try to relogin if token is rejected
+ * @property {Boolean} [noAuthWait] Do not wait for pending relogin or token refresh (used by refresh itself)
  * @property {Boolean} [noPaginate] Do not paginate this request
  * @property {Boolean} [asFormData] Send body as formdata
+ * @property {Boolean|Object} [retry] Retry policy override: false disables retries,
+ *                                    true enables them for non-idempotent methods, object overrides policy fields
  */
 
+/**
+ * Request result
+ * @typedef {Object} RequestResult
+ * @property {Boolean} success          Is request succeed?
+ * @property {*}       [response]       Response body
+ * @property {Boolean} [isNetworkError] Is request failed due to the network issues?
+ * @property {Error}   [error]          Occured error
+ * @property {Object}  [context]        Request context: Url, Method, ?Query, ?Payload
+ */
+
+/**
+ * Request middleware. Receives outgoing request configuration and a function passing it further
+ * down the chain, must return (or rethrow) the result of the next call. Middlewares registered
+ * earlier wrap ones registered later, so requests pass them in registration order and responses
+ * and errors in reverse order.
+ * @callback Middleware
+ * @param {Object}   req  Axios request configuration (method, url, headers, params, data, timeout)
+ * @param {Function} next Passes (optionally replaced) request configuration to the next middleware,
+ *                        resolves with Axios response or rejects with Axios error. Other errors thrown
+ *                        by middlewares are not treated as network failures and reject the request as is
+ * @returns {Promise<Object>} Axios response
+ */
+
+/**
+ * Pagination options
+ * @typedef  {Object}   PaginationOptions
+ * @property {String}   [method='post']  Request method
+ * @property {Object}   [body]           Filters sent with every page request (as query string for GET)
+ * @property {Number}   [perPage=100]    Amount of items per page
+ * @property {Number}   [concurrency=1]  Amount of pages fetched simultaneously
+ * @property {Function} [represent]      Formatter applied to every item
+ */
+
+/**
+ * Supported request methods
+ * @type {Array<String>}
+ */
+const REQUEST_METHODS = [ 'get', 'post', 'put', 'patch', 'delete', 'head' ];
+
+/**
+ * Substrings of keys which values should never appear in error context
+ * @type {Array<String>}
+ */
+const SENSITIVE_KEYS = [ 'screenshot', 'password', 'secret', 'token', 'api_key' ];
+
+/**
+ * Masks sensitive values of the object, including ones nested into arrays and plain objects
+ * @param {*} value Request payload or query
+ * @returns {*} Copy of the value with sensitive values masked
+ */
+const redact = value => {
+
+  if (Array.isArray(value))
+    return value.map(redact);
+
+  // Buffers, dates, streams and other instances are kept as is
+  const isPlainObject = value !== null && typeof value === 'object' &&
+    [ Object.prototype, null ].includes(Object.getPrototypeOf(value));
+
+  if (!isPlainObject)
+    return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .map(([ key, val ]) => (SENSITIVE_KEYS.some(str => key.includes(str)) ? [ key, '***' ] : [ key, redact(val) ])));
+
+};
+
+/**
+ * Extracts items and pages count from the paginated response
+ * @param {Object} body Response body
+ * @returns {{ items: Array, lastPage: Number }}
+ */
+const parsePage = body => {
+
+  // Paginator wrapped into the response envelope
+  if (body.data && !Array.isArray(body.data) && Array.isArray(body.data.data))
+    return { items: body.data.data, lastPage: Number(body.data.last_page) || 1 };
+
+  // Resource collection with pagination metadata
+  if (Array.isArray(body.data) && body.meta)
+    return { items: body.data, lastPage: Number(body.meta.last_page) || 1 };
+
+  // Endpoint ignored pagination and returned everything at once
+  if (Array.isArray(body.data))
+    return { items: body.data, lastPage: 1 };
+
+  return { items: [], lastPage: 1 };
+
+};
+
+/**
+ * Prepares request body to be sent
+ * @param {Object|undefined} body       Object to be sent
+ * @param {Boolean}          asFormData Send body as formdata
+ * @param {Object}           headers    Request headers, formdata headers are appended here
+ * @returns {Object|FormData|undefined} Request data
+ */
+const serializeBody = (body, asFormData, headers) => {
+
+  if (!body || asFormData !== true)
+    return body;
+
+  // eslint-disable-next-line global-require
+  const FormData = require('form-data');
+  const formData = new FormData();
+  Object.entries(body).forEach(([ key, value ]) => {
+
+    if (Array.isArray(value))
+      formData.append(key, ...value);
+    else
+      formData.append(key, value);
+
+  });
+
+  Object.assign(headers, formData.getHeaders());
+  return formData;
+
+};
+
 /**
  * Cattr API SDK
+ * @fires Cattr#request          Before every request attempt, with request context
+ * @fires Cattr#response         After successful response, with request context and HTTP status
+ * @fires Cattr#error            When request is finally failed, with error and request context
+ * @fires Cattr#login            After successful login, with TokenEntity and UserEntity
+ * @fires Cattr#relogin:success  When token is renewed using stored credentials
+ * @fires Cattr#relogin:failure  When automatic relogin is failed, with error if it occured
+ * @fires Cattr#token:refreshed  When new token is stored in the token provider, with TokenEntity
+ * @fires Cattr#baseurl:changed  When new base URL is applied, with new and previous URLs
+ * @fires Cattr#offline          When backend becomes unreachable, with network error
+ * @fires Cattr#online           When backend becomes reachable again
  */
-class Cattr {
+class Cattr extends EventEmitter {
 
   /**
    * Creates Cattr API instance
    */
   constructor() {
 
+    super();
+
     /**
      * Link to extended Error class
      * @type {ApiError}
@@ -55,6 +206,24 @@ class Cattr {
      */
     this.CredentialsError = CredentialsError;
 
+    /**
+     * Link to extended Error class
+     * @type {ValidationError}
+     */
+    this.ValidationError = ValidationError;
+
+    /**
+     * Link to extended Error class
+     * @type {UnsupportedFeatureError}
+     */
+    this.UnsupportedFeatureError = UnsupportedFeatureError;
+
+    /**
+     * Link to extended Error class
+     * @type {ScreenshotError}
+     */
+    this.ScreenshotError = ScreenshotError;
+
     /**
      * Authentication providers
      * @type {Object<EntityProvider>}
@@ -72,6 +241,36 @@ class Cattr {
      */
     this.axios = null;
 
+    /**
+     * Client-wide retry policy, applied to idempotent requests by default
+     * @type {RetryPolicy}
+     */
+    this.retryPolicy = { ...Retry.DEFAULT_POLICY };
+
+    /**
+     * Registered request middlewares
+     * @type {Array<Middleware>}
+     */
+    this.middlewares = [];
+
+    /**
+     * Authentication operation in progress
+     * @type {Promise<Boolean>|null}
+     */
+    this.pendingAuthentication = null;
+
+    /**
+     * Was the last request able to reach the backend?
+     * @type {Boolean}
+     */
+    this.isOnline = true;
+
+    /**
+     * Version and features of the connected server, null until negotiated
+     * @type {Capabilities|null}
+     */
+    this.capabilities = null;
+
     /**
      * Axios instance configuration
      */
@@ -89,12 +288,24 @@ class Cattr {
     this.authentication = Authentication(this);
     this.projects = new Projects(this);
     this.tasks = new Tasks(this);
+    this.users = new Users(this);
     this.time = new Time(this);
     this.screenshots = new Screenshots(this);
     this.intervals = new Intervals(this);
     this.company = new Company(this);
     this.offlineSync = new OfflineSync(this);
 
+    // Capabilities unknown before login are negotiated with the fresh token, which is not stored yet
+    this.on('login', token => this.negotiateSilently({
+      noAuth: true,
+      headers: { Authorization: `Bearer ${token.token}` },
+    }));
+
+    // Services
+    this.tokenRefresher = new TokenRefresher(this);
+    this.intervalQueue = new IntervalQueue(this);
+    this.heartbeat = new Heartbeat(this);
+
   }
 
   /**
@@ -123,6 +334,28 @@ class Cattr {
 
   }
 
+  /**
+   * Returns built-in entity providers
+   * @returns {Object<Function>} Provider classes
+   */
+  static get Providers() {
+
+    return Providers;
+
+  }
+
+  /**
+   * Returns pool class managing several instances
+   * @returns {CattrPool}
+   */
+  static get Pool() {
+
+    // Required lazily, because pool module depends on this one
+    // eslint-disable-next-line global-require
+    return require('./pool');
+
+  }
+
   /**
    * Returns base URL
    * @returns {String} Base URL
@@ -147,6 +380,7 @@ class Cattr {
 
     // Parse URL
     const url = new URL(urlString);
+    const previousUrl = this.baseUrl;
 
     /**
      * Verifies status url on a provided base URL
@@ -158,7 +392,7 @@ class Cattr {
     const checkStatusUrl = async (baseUrl, throwError = true) => {
 
       this.axiosConfiguration.baseURL = '';
-      const res = await this.get(`${baseUrl}status`, { timeout: 5000, noAuth: true });
+      const res = await this.get(`${baseUrl}status`, { timeout: 5000, noAuth: true, retry: false });
 
       if (!res.success && throwError) {
 
@@ -181,6 +415,11 @@ class Cattr {
     if (force || cattrExistsOnHostname(res)) {
 
       this.axiosConfiguration.baseURL = url.href;
+      if (url.href !== previousUrl)
+        this.emit('baseurl:changed', url.href, previousUrl);
+
+      // Capabilities are negotiated in background, unknown ones are treated as available
+      this.negotiateSilently();
       return { success: true };
 
     }
@@ -192,6 +431,11 @@ class Cattr {
 
       url.pathname += 'api';
       this.axiosConfiguration.baseURL = url.href;
+      if (url.href !== previousUrl)
+        this.emit('baseurl:changed', url.href, previousUrl);
+
+      // Capabilities are negotiated in background, unknown ones are treated as available
+      this.negotiateSilently();
       return { success: true };
 
     }
@@ -202,12 +446,49 @@ class Cattr {
   }
 
   /**
-   * Attempt to fetch new token using saved credentials
+   * Runs authentication operation (relogin or token refresh), making sure only one of them
+   * is in progress at a time. Concurrent calls share the result of the running operation.
+   * @async
+   * @param {Function} operation Async function renewing the token, resolves with success status
+   * @returns {Promise<Boolean>} Is token renewed?
+   */
+  authenticateExclusively(operation) {
+
+    if (!this.pendingAuthentication) {
+
+      this.pendingAuthentication = Promise.resolve()
+        .then(operation)
+        .finally(() => {
+
+          this.pendingAuthentication = null;
+
+        });
+
+    }
+
+    return this.pendingAuthentication;
+
+  }
+
+  /**
+   * Attempt to fetch new token using saved credentials.
+   * Concurrent calls share a single login request.
    * @async
-   * @returns {Boolean} Status (relogined or not)
+   * @returns {Promise<Boolean>} Status (relogined or not)
    */
   async reloginAutomatically() {
 
+    return this.authenticateExclusively(() => this.performRelogin());
+
+  }
+
+  /**
+   * Fetches new token using saved credentials
+   * @async
+   * @returns {Promise<Boolean>} Status (relogined or not)
+   */
+  async performRelogin() {
+
     if (
       !this.providers.credentials ||
       typeof this.providers.credentials !== 'object' ||
@@ -217,23 +498,69 @@ class Cattr {
 
     const credentials = await this.providers.credentials.get();
 
-    if (!credentials)
+    if (!credentials) {
+
+      this.emit('relogin:failure', null);
       return false;
 
+    }
+
     try {
 
       const authRes = await this.authentication.login(credentials.email, credentials.password);
       await this.providers.token.set(authRes.token.token, authRes.token.tokenType, authRes.token.tokenExpire);
+      this.emit('token:refreshed', authRes.token);
+      this.emit('relogin:success');
       return true;
 
     } catch (err) {
 
+      this.emit('relogin:failure', err);
       return false;
 
     }
 
   }
 
+  /**
+   * Registers request middleware
+   * @param {Middleware} middleware Middleware function
+   * @returns {Cattr} This instance for chaining
+   */
+  use(middleware) {
+
+    if (typeof middleware !== 'function')
+      throw new TypeError(`Middleware must be a function, but ${typeof middleware} given`);
+
+    this.middlewares.push(middleware);
+    return this;
+
+  }
+
+  /**
+   * Passes request through the middleware chain and sends it
+   * @async
+   * @param {Object} req Axios request configuration
+   * @returns {Promise<Object>} Axios response
+   */
+  async dispatch(req) {
+
+    // Snapshot the chain, so middlewares registered during the request do not affect it
+    const chain = [ ...this.middlewares ];
+
+    const next = async (index, current) => {
+
+      if (index === chain.length)
+        return this.axios(current);
+
+      return chain[index](current, (replaced = current) => next(index + 1, replaced));
+
+    };
+
+    return next(0, req);
+
+  }
+
   /**
    * Pinging backend application
    * @async
@@ -245,6 +572,54 @@ class Cattr {
 
   }
 
+  /**
+   * Fetches server version and resolves available features. Never logs in by itself,
+   * so capabilities stay unknown until the client is authenticated.
+   * @async
+   * @param {RequestOptions} [opts] Additional request options
+   * @returns {Promise<Capabilities>}
+   */
+  async negotiate(opts = {}) {
+
+    this.capabilities = null;
+    this.capabilities = Capabilities.resolve(await this.company.about({
+      noRelogin: true, retry: false, timeout: 5000, ...opts,
+    }));
+    return this.capabilities;
+
+  }
+
+  /**
+   * Negotiates capabilities, leaving them unknown if server information is not available
+   * @async
+   * @param {RequestOptions} [opts] Additional request options
+   * @returns {Promise<Capabilities|null>}
+   */
+  async negotiateSilently(opts) {
+
+    try {
+
+      return await this.negotiate(opts);
+
+    } catch (err) {
+
+      return null;
+
+    }
+
+  }
+
+  /**
+   * Throws UnsupportedFeatureError if the connected server is known to miss the feature
+   * @param {String} feature Feature name (like "bulkIntervalCreate")
+   */
+  assertFeature(feature) {
+
+    if (this.capabilities && this.capabilities[feature] === false)
+      throw new UnsupportedFeatureError(feature, this.capabilities.version, Capabilities.FEATURES[feature]);
+
+  }
+
   /**
    * Checks is this a Cattr instance
    * @async
@@ -252,76 +627,156 @@ class Cattr {
    */
   async isCattrInstance() {
 
-    const res = await this.get('/status', { noAuth: true });
+    const res = await this.get('/status', { noAuth: true, retry: false });
     return res.success && (res.response.data.amazingtime || res.response.data.cattr);
 
   }
 
   /**
-   * Perform GET request
-   * @param {String}         url  Endpoint location relative to baseURL
-   * @param {RequestOptions} opts Additional options for this request
+   * Perform request
+   * @async
+   * @param {String}         method Request method
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
    */
-  async get(url, opts) {
+  async request(method, url, opts) {
+
+    // Null options are accepted the same way as missing ones
+    opts = opts || {};
+
+    if (typeof method !== 'string' || !REQUEST_METHODS.includes(method.toLowerCase()))
+      throw new TypeError(`Unsupported request method: ${method}`);
 
     if (typeof url !== 'string')
       throw new TypeError(`URL parameter must be a string, but ${typeof url} given`);
 
-    const headers = {};
-
-    if (opts && typeof opts.headers === 'object')
-      Object.assign(headers, opts.headers);
+    if (typeof opts.body !== 'undefined' && (typeof opts.body !== 'object' || opts.body === null))
+      throw new TypeError(`Body must be an object (for JSON or FormData), but ${typeof opts.body} given`);
 
-    if (!opts || !opts.noAuth) {
+    if (typeof opts.query !== 'undefined' && (typeof opts.query !== 'object' || opts.query === null))
+      throw new TypeError(`Query must be an object, but ${typeof opts.query} given`);
 
-      const token = await this.providers.token.get();
+    method = method.toLowerCase();
 
-      // Renewing token if it isn't available in provider
-      if (!token) {
+    const context = { url, method };
 
-        if (opts && opts.noRelogin) {
+    if (opts.query)
+      context.query = redact(opts.query);
 
-          return {
-            success: false,
-            isNetworkError: false,
-            error: new this.CredentialsError(401, 'authorization.unauthorized', 'Token provider returned nothing, but relogin is disabled')
-          };
+    if (opts.body)
+      context.payload = redact(opts.body);
 
-        }
+    const policy = Retry.resolvePolicy(method, this.retryPolicy, opts.retry);
+    let res;
 
-        if (!await this.reloginAutomatically()) {
+    for (let attempt = 1; ; attempt += 1) {
 
-          return {
-            success: false,
-            isNetworkError: false,
-            error: new this.CredentialsError(401, 'authorization.unauthorized', 'Token proivder returned nothing, and relogin is failed')
-          };
+      // eslint-disable-next-line no-await-in-loop
+      res = await this.send(method, url, opts, context);
 
-        }
+      if (res.success || !policy || attempt >= policy.attempts || !Retry.isRetryable(policy, res))
+        break;
 
-      }
+      const delay = Retry.getDelay(policy, attempt, res);
+      if (delay === null)
+        break;
 
-      headers.Authorization = `Bearer ${(await this.providers.token.get()).token}`;
+      // eslint-disable-next-line no-await-in-loop
+      await Retry.sleep(delay);
 
     }
 
-    if (opts && opts.noPaginate === true)
+    // Unhandled "error" event throws, so emit it only if somebody listens
+    if (!res.success && this.listenerCount('error') > 0)
+      this.emit('error', res.error, res.context || context);
+
+    return res;
+
+  }
+
+  /**
+   * Updates backend reachability state, emitting "online" and "offline" events on change
+   * @param {Boolean} isOnline Is backend reachable?
+   * @param {Error}   [error]  Network error caused the state change
+   */
+  setOnlineState(isOnline, error) {
+
+    if (this.isOnline === isOnline)
+      return;
+
+    this.isOnline = isOnline;
+    if (isOnline)
+      this.emit('online');
+    else
+      this.emit('offline', error);
+
+  }
+
+  /**
+   * Performs a single request attempt
+   * @async
+   * @param {String}         method  Request method
+   * @param {String}         url     Endpoint location relative to baseURL
+   * @param {RequestOptions} opts    Additional options for this request
+   * @param {Object}         context Request context attached to the failed result
+   * @returns {Promise<RequestResult>}
+   */
+  async send(method, url, opts, context) {
+
+    const headers = {};
+
+    if (typeof opts.headers === 'object')
+      Object.assign(headers, opts.headers);
+
+    if (opts.noPaginate === true)
       headers['X-Paginate'] = 'false';
 
+    headers['X-Requested-With'] = `Cattr-Node/v${process.env.npm_package_version}`;
+
+    if (!opts.noAuth) {
+
+      const authError = await this.authorize(headers, opts);
+      if (authError) {
+
+        return {
+          success: false, isNetworkError: false, error: authError, context
+        };
+
+      }
+
+    }
+
     // Making request
+    this.emit('request', context);
+
     try {
 
-      const res = await this.axios({ method: 'get', url, headers });
+      const res = await this.dispatch({
+        method,
+        url,
+        headers,
+        params: opts.query,
+        data: serializeBody(opts.body, opts.asFormData, headers),
+        timeout: opts.timeout,
+        responseType: opts.responseType,
+      });
+
+      this.setOnlineState(true);
+      this.emit('response', context, res.status);
       return { success: true, response: res.data };
 
     } catch (err) {
 
-      const context = {
-        url,
-        method: 'get'
-      };
+      // Failures of the middlewares themselves are neither network nor API errors, so they are
+      // passed to the caller as is, without retries and without touching the online state
+      if (!err.response && !err.isAxiosError)
+        throw err;
+
+      this.setOnlineState(!!err.response, err);
+
       // Pass error if authentication disabled
-      if (opts && opts.noAuth) {
+      if (opts.noAuth) {
 
         return {
           success: false, isNetworkError: !err.response, error: err, context
@@ -341,6 +796,7 @@ class Cattr {
       // Pass error if it isn't related to the authentication token
       if (
         err.response.status !== 401 ||
+        !err.response.data ||
         (err.response.data.code !== 'authorization.unauthorized' && err.response.data.code !== 'authorization.token_expired')
       ) {
 
@@ -351,7 +807,7 @@ class Cattr {
       }
 
       // Pass error if automatical relogin is disabled
-      if (opts && opts.noRelogin) {
+      if (opts.noRelogin) {
 
         return {
           success: false, isNetworkError: false, error: err, context
@@ -359,6 +815,11 @@ class Cattr {
 
       }
 
+      // Token is already renewed by concurrent request, so just replay with the new one
+      const currentToken = await this.providers.token.get();
+      if (currentToken && headers.Authorization !== `Bearer ${currentToken.token}`)
+        return this.send(method, url, { ...opts, noRelogin: true }, context);
+
       // Try to relogin automatically, pass error if failed
       if (!await this.reloginAutomatically()) {
 
@@ -369,195 +830,188 @@ class Cattr {
       }
 
       // Say hi to recursion!
-      return this.get(url, Object.assign(opts || {}, { noRelogin: true }));
+      return this.send(method, url, { ...opts, noRelogin: true }, context);
 
     }
 
   }
 
   /**
-   * Perform POST request
-   * @param {String}         url  Endpoint location relative to baseURL
-   * @param {Object}         body Object to be sent
-   * @param {RequestOptions} opts Additional options for this request
+   * Puts authorization header into request headers, renewing the token if it is absent
+   * @async
+   * @param {Object}         headers Request headers
+   * @param {RequestOptions} opts    Request options
+   * @returns {Promise<CredentialsError|null>} Error if request cannot be authorized
    */
-  async post(url, body, opts) {
-
-    if (typeof url !== 'string')
-      throw new TypeError(`URL parameter must be a string, but ${typeof url} given`);
+  async authorize(headers, opts) {
 
-    if (typeof body !== 'object')
-      throw new TypeError(`Body must be an object (for JSON or FormData), but ${typeof body} given`);
+    // Requests queued during relogin or refresh are sent with the renewed token
+    if (this.pendingAuthentication && !opts.noAuthWait)
+      await this.pendingAuthentication;
 
-    let requestData = body;
+    const token = await this.providers.token.get();
 
-    const headers = {};
-
-    if (opts && typeof opts.headers === 'object')
-      Object.assign(headers, opts.headers);
+    // Renewing token if it isn't available in provider
+    if (!token) {
 
-    if (opts && opts.asFormData === true) {
-
-      // eslint-disable-next-line global-require
-      const FormData = require('form-data');
-      requestData = new FormData();
-      Object.entries(body).forEach(([ key, value ]) => {
-
-        if (Array.isArray(value))
-          requestData.append(key, ...value);
-        else
-          requestData.append(key, value);
-
-      });
+      if (opts.noRelogin)
+        return new this.CredentialsError(401, 'authorization.unauthorized', 'Token provider returned nothing, but relogin is disabled');
 
-      Object.assign(headers, requestData.getHeaders());
+      if (!await this.reloginAutomatically())
+        return new this.CredentialsError(401, 'authorization.unauthorized', 'Token provider returned nothing, and relogin is failed');
 
     }
 
-    if (opts && opts.noPaginate === true)
-      headers['X-Paginate'] = 'false';
-
-    headers['X-Requested-With'] = `Cattr-Node/v${process.env.npm_package_version}`;
+    headers.Authorization = `Bearer ${(await this.providers.token.get()).token}`;
+    return null;
 
-    if (opts && opts.method && [ 'post', 'put', 'patch' ].indexOf(opts.method) === -1)
-      throw new TypeError(`Unsupported request method: ${opts.method}`);
+  }
 
-    if (!opts || !opts.noAuth) {
+  /**
+   * Walks through the paginated list endpoint page by page
+   * @async
+   * @generator
+   * @param {String}            url    Endpoint location relative to baseURL
+   * @param {PaginationOptions} [opts] Pagination and request options
+   * @yields {*} List items in order
+   */
+  async* paginate(url, opts = {}) {
 
-      const token = await this.providers.token.get();
+    const {
+      method = 'post', body = {}, perPage = 100, concurrency = 1, represent = item => item, ...requestOpts
+    } = opts;
 
-      // Renewing token if it isn't available in provider
-      if (!token) {
+    if (!Number.isInteger(perPage) || perPage < 1)
+      throw new TypeError(`Page size must be a positive integer, but ${perPage} given`);
 
-        if (opts && opts.noRelogin) {
+    if (!Number.isInteger(concurrency) || concurrency < 1)
+      throw new TypeError(`Concurrency must be a positive integer, but ${concurrency} given`);
 
-          return {
-            success: false,
-            isNetworkError: false,
-            error: new this.CredentialsError(401, 'authorization.unauthorized', 'Token provider returned nothing, but relogin is disabled')
-          };
+    const fetchPage = async page => {
 
-        }
+      const params = { ...body, page, limit: perPage };
+      const headers = { ...requestOpts.headers, 'X-Paginate': 'true' };
+      const res = await this.request(method, url, method.toLowerCase() === 'get' ?
+        { ...requestOpts, headers, query: params } :
+        { ...requestOpts, headers, body: params });
 
-        if (!await this.reloginAutomatically()) {
+      if (!res.success) {
 
-          return {
-            success: false,
-            isNetworkError: false,
-            error: new this.CredentialsError(401, 'authorization.unauthorized', 'Token provider returned nothing, and relogin is failed')
-          };
+        if (res.isNetworkError)
+          throw new this.NetworkError(res);
 
-        }
+        throw new this.ApiError(res);
 
       }
 
-      headers.Authorization = `Bearer ${(await this.providers.token.get()).token}`;
+      return parsePage(res.response);
 
-    }
+    };
 
-    const method = (opts && opts.method) ? opts.method : 'post';
-    // Making request
-    try {
+    const first = await fetchPage(1);
+    yield* first.items.map(represent);
 
-      const res = await this.axios({
-        url,
-        headers,
-        data: requestData,
-        method,
-      });
+    const pending = [];
+    let nextPage = 2;
 
-      return {
-        success: true,
-        response: res.data,
-      };
+    while (nextPage <= first.lastPage || pending.length > 0) {
 
-    } catch (err) {
+      while (pending.length < concurrency && nextPage <= first.lastPage) {
 
-      const context = {
-        url,
-        payload: Object.fromEntries(Object.entries(body)
-          .map(([ key, val ]) => (
-            [ 'screenshot', 'password', 'secret', 'token', 'api_key' ]
-              .some(str => key.includes(str)) ? [ key, '***' ] : [ key, val ]
-          ))),
-        method
-      };
-      // Pass error if authentication disabled
-      if (opts && opts.noAuth) {
+        const page = fetchPage(nextPage);
 
-        return {
-          success: false, isNetworkError: !err.response, error: err, context
-        };
+        // Failure is reported when the page is awaited, not when it is prefetched
+        page.catch(() => {});
+        pending.push(page);
+        nextPage += 1;
 
       }
 
-      // Return networking error
-      if (!err.response) {
+      // eslint-disable-next-line no-await-in-loop
+      const { items } = await pending.shift();
+      yield* items.map(represent);
 
-        return {
-          success: false, isNetworkError: true, error: err, context
-        };
+    }
 
-      }
+  }
 
-      // Pass error if it isn't related to the authentication token
-      if (
-        err.response.status !== 401 ||
-        (err.response.data.code !== 'authorization.unauthorized' && err.response.data.code !== 'authorization.token_expired')
-      ) {
+  /**
+   * Perform GET request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
+   */
+  async get(url, opts) {
 
-        return {
-          success: false, isNetworkError: false, error: err, context
-        };
+    return this.request('get', url, opts);
 
-      }
+  }
 
-      // Pass error if automatical relogin is disabled
-      if (opts && opts.noRelogin) {
+  /**
+   * Perform HEAD request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
+   */
+  async head(url, opts) {
 
-        return {
-          success: false, isNetworkError: false, error: err, context
-        };
+    return this.request('head', url, opts);
 
-      }
+  }
 
-      // Try to relogin automatically, pass error if failed
-      if (!await this.reloginAutomatically()) {
+  /**
+   * Perform DELETE request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
+   */
+  async delete(url, opts) {
 
-        return {
-          success: false, isNetworkError: false, error: err, context
-        };
+    return this.request('delete', url, opts);
 
-      }
+  }
 
-      // Say hi to recursion!
-      return this.post(url, body, Object.assign(opts || {}, { noRelogin: true }));
+  /**
+   * Perform POST request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {Object}         body   Object to be sent
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @param {String}         [opts.method="post"] Body request method to use instead, "post", "put" or "patch"
+   * @returns {Promise<RequestResult>}
+   */
+  async post(url, body, opts) {
 
-    }
+    const method = (opts && opts.method) ? opts.method : 'post';
+    if ([ 'post', 'put', 'patch' ].indexOf(method) === -1)
+      throw new TypeError(`Unsupported request method: ${method}`);
+
+    return this.request(method, url, { ...opts, body });
 
   }
 
   /**
    * Perform PATCH request
-   * @param {String}         url  Endpoint location relative to baseURL
-   * @param {Object}         body Object to be sent
-   * @param {RequestOptions} opts Additional options for this request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {Object}         body   Object to be sent
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
    */
   async patch(url, body, opts) {
 
-    return this.post(url, body, { method: 'patch', ...opts });
+    return this.request('patch', url, { ...opts, body });
 
   }
 
   /**
    * Perform PUT request
-   * @param {String}         url  Endpoint location relative to baseURL
-   * @param {Object}         body Object to be sent
-   * @param {RequestOptions} opts Additional options for this request
+   * @param {String}         url    Endpoint location relative to baseURL
+   * @param {Object}         body   Object to be sent
+   * @param {RequestOptions} [opts] Additional options for this request
+   * @returns {Promise<RequestResult>}
    */
   async put(url, body, opts) {
 
-    return this.post(url, body, { method: 'put', ...opts });
+    return this.request('put', url, { ...opts, body });
 
   }
 
@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const MemoryQueueStorage = require('./queue-storages/memory');
+const FileQueueStorage = require('./queue-storages/file');
+
+/**
+ * Status codes of failures which are not caused by the interval itself
+ * @type {Array<Number>}
+ */
+const TRANSIENT_STATUSES = [ 401, 408, 429 ];
+
+/**
+ * Serialized interval waiting to be pushed
+ * @typedef  {Object}      QueuedIntervalRecord
+ * @property {String}      id            Deduplication key of the interval
+ * @property {Object}      interval      IntervalPushDTO with dates serialized into ISO strings
+ * @property {Boolean}     hasScreenshot Is screenshot stored along with the interval?
+ * @property {String}      queuedAt      ISO date of enqueueing
+ */
+
+/**
+ * Interval waiting to be pushed
+ * @typedef  {Object}          QueuedInterval
+ * @property {String}          id            Deduplication key of the interval
+ * @property {IntervalPushDTO} interval      Properties of the interval
+ * @property {Boolean}         hasScreenshot Is interval pushed with a screenshot?
+ * @property {Date}            queuedAt      Date of enqueueing
+ */
+
+/**
+ * Interval queue storage adapter
+ * @typedef  {Object}   QueueStorage
+ * @property {Function} list          Resolves with all stored QueuedIntervalRecord in insertion order
+ * @property {Function} add           Stores QueuedIntervalRecord along with its screenshot Buffer, if any
+ * @property {Function} getScreenshot Resolves with the screenshot Buffer of the record by its ID, or null
+ * @property {Function} remove        Removes record by its ID
+ * @property {Function} clear         Removes all records
+ */
+
+/**
+ * Interval queue options
+ * @typedef  {Object}       IntervalQueueOptions
+ * @property {QueueStorage} [storage]        Custom storage adapter
+ * @property {String}       [path]           Path to the NDJSON file used by the default file storage
+ * @property {Boolean}      [autoFlush=true] Replay queue automatically when backend becomes reachable
+ */
+
+/**
+ * Result of the queue replay
+ * @typedef  {Object} IntervalQueueFlushReport
+ * @property {Number} pushed    Amount of successfully pushed intervals
+ * @property {Number} rejected  Amount of intervals rejected by backend and dropped from the queue
+ * @property {Number} remaining Amount of intervals left in the queue
+ */
+
+/**
+ * Durable queue of intervals failed to be pushed due to network issues
+ * @fires Cattr#queue:added    When interval is added to the queue, with QueuedInterval
+ * @fires Cattr#queue:pushed   When queued interval is pushed, with QueuedInterval
+ * @fires Cattr#queue:rejected When queued interval is rejected, with QueuedInterval and ApiError or ValidationError
+ * @fires Cattr#queue:flushed  When queue replay is finished, with IntervalQueueFlushReport
+ */
+class IntervalQueue {
+
+  /**
+   * Initializes interval queue
+   * @param {Cattr} ctx Base class context
+   */
+  constructor(ctx) {
+
+    this.$ = ctx;
+
+    /**
+     * Storage adapter, queue is disabled while it is not set
+     * @type {QueueStorage|null}
+     */
+    this.storage = null;
+
+    /**
+     * Queued records in push order, screenshots are read from the storage on push only
+     * @type {Array<QueuedIntervalRecord>}
+     */
+    this.records = [];
+
+    /**
+     * Replay in progress
+     * @type {Promise<IntervalQueueFlushReport>|null}
+     */
+    this.flushing = null;
+
+    /**
+     * Tail of the serialized storage operations
+     * @type {Promise}
+     */
+    this.operations = Promise.resolve();
+
+    this.onOnline = () => {
+
+      this.flush().catch(() => {});
+
+    };
+
+  }
+
+  /**
+   * Is queue enabled?
+   * @type {Boolean}
+   */
+  get isEnabled() {
+
+    return this.storage !== null;
+
+  }
+
+  /**
+   * Amount of queued intervals
+   * @type {Number}
+   */
+  get size() {
+
+    return this.records.length;
+
+  }
+
+  /**
+   * Builds deduplication key of the interval
+   * @param {IntervalPushDTO} interval Properties of the interval
+   * @returns {String}
+   */
+  static key(interval) {
+
+    return crypto
+      .createHash('sha1')
+      .update([ interval.userId, interval.taskId, interval.start.toISOString(), interval.end.toISOString() ].join(':'))
+      .digest('hex');
+
+  }
+
+  /**
+   * Converts stored record into the public representation
+   * @param {QueuedIntervalRecord} record Stored record
+   * @returns {QueuedInterval}
+   */
+  static represent(record) {
+
+    return {
+      id: record.id,
+      interval: {
+        ...record.interval,
+        start: new Date(record.interval.start),
+        end: new Date(record.interval.end),
+      },
+      hasScreenshot: record.hasScreenshot,
+      queuedAt: new Date(record.queuedAt),
+    };
+
+  }
+
+  /**
+   * Enables queue, loading previously stored intervals
+   * @async
+   * @param {IntervalQueueOptions} [opts] Queue options
+   * @returns {Promise<void>}
+   */
+  async enable(opts = {}) {
+
+    let storage;
+
+    if (opts.storage) {
+
+      if ([ 'list', 'add', 'getScreenshot', 'remove', 'clear' ].some(method => typeof opts.storage[method] !== 'function'))
+        throw new TypeError('Incorrect queue storage given');
+
+      ({ storage } = opts);
+
+    } else if (opts.path)
+      storage = new FileQueueStorage(opts.path);
+    else
+      storage = new MemoryQueueStorage();
+
+    this.disable();
+    this.records = await storage.list();
+    this.storage = storage;
+
+    if (opts.autoFlush !== false) {
+
+      this.$.on('online', this.onOnline);
+
+      // Intervals left from the previous session are replayed right away
+      if (this.records.length > 0)
+        this.onOnline();
+
+    }
+
+  }
+
+  /**
+   * Disables queue, keeping stored intervals in the storage
+   */
+  disable() {
+
+    this.$.removeListener('online', this.onOnline);
+    this.storage = null;
+    this.records = [];
+
+  }
+
+  /**
+   * Runs storage operation after previous ones are finished
+   * @async
+   * @param {Function} operation Async storage operation
+   * @returns {Promise}
+   */
+  persist(operation) {
+
+    const result = this.operations.then(operation);
+    this.operations = result.catch(() => {});
+    return result;
+
+  }
+
+  /**
+   * Adds interval to the queue, skipping already queued ones
+   * @async
+   * @param {IntervalPushDTO} interval     Properties of the interval
+   * @param {Buffer}          [screenshot] Screenshot
+   * @returns {Promise<QueuedInterval>} Queued interval
+   */
+  async enqueue(interval, screenshot) {
+
+    if (!this.isEnabled)
+      throw new Error('Interval queue is not enabled');
+
+    if (!(interval.start instanceof Date) || !(interval.end instanceof Date))
+      throw new TypeError('Interval start and end must be Date objects');
+
+    const id = IntervalQueue.key(interval);
+    const existing = this.records.find(record => record.id === id);
+    if (existing)
+      return IntervalQueue.represent(existing);
+
+    const record = {
+      id,
+      interval: {
+        ...interval,
+        start: interval.start.toISOString(),
+        end: interval.end.toISOString(),
+      },
+      hasScreenshot: Buffer.isBuffer(screenshot),
+      queuedAt: new Date().toISOString(),
+    };
+
+    this.records.push(record);
+    const { storage } = this;
+    await this.persist(() => storage.add(record, record.hasScreenshot ? screenshot : null));
+
+    const queued = IntervalQueue.represent(record);
+    this.$.emit('queue:added', queued);
+    return queued;
+
+  }
+
+  /**
+   * Returns queued intervals in push order
+   * @returns {Array<QueuedInterval>}
+   */
+  list() {
+
+    return this.records.map(IntervalQueue.represent);
+
+  }
+
+  /**
+   * Removes interval from the queue
+   * @async
+   * @param {String} id Queued interval ID
+   * @returns {Promise<Boolean>} Was interval in the queue?
+   */
+  async remove(id) {
+
+    const index = this.records.findIndex(record => record.id === id);
+    if (index === -1)
+      return false;
+
+    this.records.splice(index, 1);
+    const { storage } = this;
+    await this.persist(() => storage.remove(id));
+    return true;
+
+  }
+
+  /**
+   * Removes all queued intervals
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+
+    if (!this.isEnabled)
+      return;
+
+    this.records = [];
+    const { storage } = this;
+    await this.persist(() => storage.clear());
+
+  }
+
+  /**
+   * Pushes queued intervals in order. Replay stops on the first failure, except for intervals
+   * rejected by backend or by client validation, which are dropped. Concurrent calls share the same replay.
+   * @async
+   * @returns {Promise<IntervalQueueFlushReport>}
+   */
+  flush() {
+
+    if (!this.flushing) {
+
+      this.flushing = this.performFlush().finally(() => {
+
+        this.flushing = null;
+
+      });
+
+    }
+
+    return this.flushing;
+
+  }
+
+  /**
+   * Performs queue replay
+   * @async
+   * @returns {Promise<IntervalQueueFlushReport>}
+   */
+  async performFlush() {
+
+    const report = { pushed: 0, rejected: 0, remaining: this.records.length };
+
+    while (this.isEnabled && this.records.length > 0) {
+
+      const record = this.records[0];
+      const queued = IntervalQueue.represent(record);
+
+      try {
+
+        const { storage } = this;
+
+        // Screenshot lost by the storage can't be restored, so the interval is pushed without it
+        // eslint-disable-next-line no-await-in-loop
+        const screenshot = record.hasScreenshot ? await this.persist(() => storage.getScreenshot(record.id)) : null;
+
+        if (screenshot) {
+
+          // eslint-disable-next-line no-await-in-loop
+          await this.$.intervals.createWithScreenshot(queued.interval, screenshot, { noQueue: true });
+
+        } else {
+
+          // eslint-disable-next-line no-await-in-loop
+          await this.$.intervals.create(queued.interval, { noQueue: true });
+
+        }
+
+        report.pushed += 1;
+        this.$.emit('queue:pushed', queued);
+
+      } catch (err) {
+
+        // Only failures caused by the interval itself would repeat on every flush, any other one
+        // (network, server, middleware or a bug) keeps the interval until the next replay
+        const isRejected = err.isValidationError || (err.isApiError &&
+          err.statusCode >= 400 && err.statusCode < 500 && !TRANSIENT_STATUSES.includes(err.statusCode));
+
+        if (!isRejected)
+          break;
+
+        report.rejected += 1;
+        this.$.emit('queue:rejected', queued, err);
+
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      await this.remove(record.id);
+
+    }
+
+    report.remaining = this.records.length;
+    this.$.emit('queue:flushed', report);
+    return report;
+
+  }
+
+}
+
+module.exports = IntervalQueue;
@@ -0,0 +1,274 @@
+const Cattr = require('./index');
+const MemoryProvider = require('./providers/memory');
+
+/**
+ * Pooled instance options
+ * @typedef  {Object}         PoolInstanceOptions
+ * @property {String}         baseUrl               Server entrypoint, passed to Cattr#setBaseUrl
+ * @property {String}         [account]             Account identifier, email from the credentials provider by default
+ * @property {EntityProvider} [credentialsProvider] Credentials of this account
+ * @property {EntityProvider} [tokenProvider]       Token storage of this account, in-memory one by default
+ * @property {Boolean}        [force=false]         Set URL forcefully without pinging the remote
+ */
+
+/**
+ * Shared configuration of the pooled instances
+ * @typedef  {Object} PoolOptions
+ * @property {Object} [retryPolicy] Retry policy overrides applied to every instance
+ * @property {Object} [axios]       Axios configuration (like timeout or headers) applied to every instance
+ */
+
+/**
+ * Result of the operation performed on the single instance
+ * @typedef  {Object}  PoolResult
+ * @property {String}  name    Instance name
+ * @property {Boolean} success Is operation succeed?
+ * @property {*}       result  Operation result
+ * @property {Error|null} error Operation failure
+ */
+
+/**
+ * Manages named Cattr instances connected to different servers or accounts.
+ * Instances share configuration and middlewares, while tokens are kept separately.
+ */
+class CattrPool {
+
+  /**
+   * Creates pool
+   * @param {PoolOptions} [opts] Shared configuration
+   */
+  constructor(opts = {}) {
+
+    if (typeof opts !== 'object' || opts === null)
+      throw new TypeError(`Pool options must be an Object, but ${typeof opts} given`);
+
+    /**
+     * Shared configuration
+     * @type {PoolOptions}
+     */
+    this.config = {
+      retryPolicy: { ...opts.retryPolicy },
+      axios: { ...opts.axios },
+    };
+
+    /**
+     * Middlewares registered on every instance
+     * @type {Array<Middleware>}
+     */
+    this.middlewares = [];
+
+    /**
+     * Pooled instances by their names
+     * @type {Map<String, { client: Cattr, baseUrl: String, account: String|null }>}
+     */
+    this.instances = new Map();
+
+  }
+
+  /**
+   * Returns names of the pooled instances
+   * @returns {Array<String>}
+   */
+  get names() {
+
+    return [ ...this.instances.keys() ];
+
+  }
+
+  /**
+   * Returns amount of the pooled instances
+   * @returns {Number}
+   */
+  get size() {
+
+    return this.instances.size;
+
+  }
+
+  /**
+   * Registers middleware on every pooled instance, including ones added later
+   * @param {Middleware} middleware Middleware function
+   * @returns {CattrPool} This pool for chaining
+   */
+  use(middleware) {
+
+    if (typeof middleware !== 'function')
+      throw new TypeError(`Middleware must be a function, but ${typeof middleware} given`);
+
+    this.middlewares.push(middleware);
+    this.instances.forEach(({ client }) => client.use(middleware));
+    return this;
+
+  }
+
+  /**
+   * Creates and connects new instance
+   * @async
+   * @param {String} name Unique instance name
+   * @param {PoolInstanceOptions} opts Instance options
+   * @returns {Promise<Cattr>} Connected instance
+   */
+  async add(name, opts) {
+
+    if (typeof name !== 'string' || name.length === 0)
+      throw new TypeError('Incorrect instance name given');
+
+    if (!opts || typeof opts !== 'object' || typeof opts.baseUrl !== 'string')
+      throw new TypeError('Instance options must contain base URL');
+
+    if (this.instances.has(name))
+      throw new Error(`Instance "${name}" is already in the pool`);
+
+    const client = new Cattr();
+
+    Object.entries(this.config.axios).forEach(([ key, value ]) => {
+
+      client.axiosConfiguration[key] = value;
+
+    });
+
+    client.retryPolicy = { ...client.retryPolicy, ...this.config.retryPolicy };
+    this.middlewares.forEach(middleware => client.use(middleware));
+
+    if (opts.credentialsProvider)
+      client.credentialsProvider = opts.credentialsProvider;
+
+    client.tokenProvider = opts.tokenProvider || new MemoryProvider();
+
+    let { account } = opts;
+    if (typeof account === 'undefined' && opts.credentialsProvider) {
+
+      const credentials = await opts.credentialsProvider.get();
+      account = credentials ? credentials.email : undefined;
+
+    }
+
+    await client.setBaseUrl(opts.baseUrl, opts.force);
+
+    const entry = { client, baseUrl: client.baseUrl, account: account || null };
+
+    // The same account on the same server shares its token, so it is pooled only once
+    const duplicate = this.names.find(existing => {
+
+      const other = this.instances.get(existing);
+      return other.baseUrl === entry.baseUrl && other.account === entry.account;
+
+    });
+
+    if (duplicate)
+      throw new Error(`Account ${entry.account || '(anonymous)'} on ${entry.baseUrl} is already pooled as "${duplicate}"`);
+
+    // Name could be taken while server was pinged
+    if (this.instances.has(name))
+      throw new Error(`Instance "${name}" is already in the pool`);
+
+    this.instances.set(name, entry);
+    return client;
+
+  }
+
+  /**
+   * Returns pooled instance
+   * @param {String} name Instance name
+   * @returns {Cattr|null}
+   */
+  get(name) {
+
+    const entry = this.instances.get(name);
+    return entry ? entry.client : null;
+
+  }
+
+  /**
+   * Finds instance connected to the server with the given account
+   * @param {String} baseUrl Base URL of the instance
+   * @param {String|null} [account] Account identifier
+   * @returns {Cattr|null}
+   */
+  find(baseUrl, account = null) {
+
+    const entry = [ ...this.instances.values() ]
+      .find(instance => instance.baseUrl === baseUrl && instance.account === account);
+
+    return entry ? entry.client : null;
+
+  }
+
+  /**
+   * Removes instance from the pool, stopping its services
+   * @param {String} name Instance name
+   * @returns {Boolean} Was instance pooled?
+   */
+  remove(name) {
+
+    const entry = this.instances.get(name);
+    if (!entry)
+      return false;
+
+    entry.client.heartbeat.stop();
+    entry.client.tokenRefresher.stop();
+    entry.client.intervalQueue.disable();
+    this.instances.delete(name);
+    return true;
+
+  }
+
+  /**
+   * Performs operation on every pooled instance. Never throws on operation failures,
+   * result of every instance is reported instead.
+   * @async
+   * @param {Function} operation Called with instance and its name, may return a Promise
+   * @param {Object} [opts] Fan-out options
+   * @param {Number} [opts.concurrency=Infinity] Amount of instances processed simultaneously
+   * @returns {Promise<Array<PoolResult>>} Results in the pool order
+   */
+  async map(operation, opts = {}) {
+
+    if (typeof operation !== 'function')
+      throw new TypeError(`Operation must be a function, but ${typeof operation} given`);
+
+    const { concurrency = Infinity } = opts;
+    if (concurrency !== Infinity && (!Number.isInteger(concurrency) || concurrency < 1))
+      throw new TypeError(`Concurrency must be a positive integer, but ${concurrency} given`);
+
+    const entries = [ ...this.instances.entries() ];
+    const results = new Array(entries.length);
+
+    let next = 0;
+    const worker = async () => {
+
+      while (next < entries.length) {
+
+        const index = next;
+        next += 1;
+
+        const [ name, { client } ] = entries[index];
+
+        try {
+
+          // eslint-disable-next-line no-await-in-loop
+          const result = await operation(client, name);
+          results[index] = {
+            name, success: true, result, error: null,
+          };
+
+        } catch (error) {
+
+          results[index] = {
+            name, success: false, result: null, error,
+          };
+
+        }
+
+      }
+
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, entries.length) }, worker));
+    return results;
+
+  }
+
+}
+
+module.exports = CattrPool;
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const JsonFileProvider = require('./json-file');
+const { TOKEN_FIELDS, toEntity } = require('./entity');
+
+/**
+ * Encrypted file format version
+ * @type {Number}
+ */
+const FORMAT_VERSION = 1;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Encrypted file contents
+ * @typedef  {Object} EncryptedEntity
+ * @property {Number} version Format version
+ * @property {String} salt    Base64-encoded scrypt salt
+ * @property {String} iv      Base64-encoded AES-GCM initialization vector
+ * @property {String} authTag Base64-encoded AES-GCM authentication tag
+ * @property {String} data    Base64-encoded encrypted entity
+ */
+
+/**
+ * Provider persisting entity into the file encrypted by AES-256-GCM.
+ * Key is derived from the passphrase by scrypt with a random salt on every write.
+ * Decrypted entity is cached until the next write, so key derivation is not repeated on every request,
+ * and changes of the file made by other processes are not noticed.
+ * @implements {EntityProvider}
+ */
+class EncryptedFileProvider {
+
+  /**
+   * Creates provider
+   * @param {String} path Path to the file
+   * @param {String|Buffer} passphrase Encryption passphrase
+   * @param {Object} [opts] Provider options
+   * @param {Array<String>} [opts.fields] Names of the setter positional arguments, token ones by default
+   */
+  constructor(path, passphrase, opts = {}) {
+
+    if ((typeof passphrase !== 'string' && !Buffer.isBuffer(passphrase)) || passphrase.length === 0)
+      throw new TypeError('Incorrect passphrase given');
+
+    /**
+     * Storage of the encrypted envelope
+     * @type {JsonFileProvider}
+     */
+    this.file = new JsonFileProvider(path);
+
+    /**
+     * Encryption passphrase
+     * @type {String|Buffer}
+     */
+    this.passphrase = passphrase;
+
+    /**
+     * Names of the setter positional arguments
+     * @type {Array<String>}
+     */
+    this.fields = opts.fields || TOKEN_FIELDS;
+
+    /**
+     * Decrypted entity, undefined until the file is read
+     * @type {Object|null|undefined}
+     */
+    this.cache = undefined;
+
+  }
+
+  /**
+   * Returns decrypted entity
+   * @async
+   * @returns {Promise<Object|null>} Entity, or null if file does not exist
+   */
+  async get() {
+
+    if (typeof this.cache !== 'undefined')
+      return this.cache;
+
+    const envelope = await this.file.get();
+    if (envelope === null) {
+
+      this.cache = null;
+      return null;
+
+    }
+
+    if (envelope.version !== FORMAT_VERSION)
+      throw new Error(`Unsupported encrypted file version: ${envelope.version}`);
+
+    const key = await scrypt(this.passphrase, Buffer.from(envelope.salt, 'base64'), 32);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+
+    let contents;
+
+    try {
+
+      contents = Buffer.concat([ decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final() ]);
+
+    } catch (err) {
+
+      throw new Error('Unable to decrypt the file: passphrase is wrong or file is damaged');
+
+    }
+
+    this.cache = JSON.parse(contents.toString('utf8'));
+    return this.cache;
+
+  }
+
+  /**
+   * Encrypts and atomically stores entity
+   * @async
+   * @param {...*} args Entity object, or its fields in the positional order
+   */
+  async set(...args) {
+
+    const entity = toEntity(this.fields, args);
+    if (entity === null) {
+
+      await this.clear();
+      return;
+
+    }
+
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await scrypt(this.passphrase, salt, 32);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const data = Buffer.concat([ cipher.update(JSON.stringify(entity), 'utf8'), cipher.final() ]);
+
+    await this.file.set({
+      version: FORMAT_VERSION,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    });
+
+    this.cache = entity;
+
+  }
+
+  /**
+   * Removes the file
+   * @async
+   */
+  async clear() {
+
+    await this.file.clear();
+    this.cache = null;
+
+  }
+
+}
+
+module.exports = EncryptedFileProvider;
@@ -0,0 +1,44 @@
+/**
+ * Positional arguments of the token provider setter
+ * @type {Array<String>}
+ */
+const TOKEN_FIELDS = [ 'token', 'tokenType', 'tokenExpire' ];
+
+/**
+ * Positional arguments of the credentials provider setter
+ * @type {Array<String>}
+ */
+const CREDENTIALS_FIELDS = [ 'email', 'password' ];
+
+/**
+ * Builds stored entity from the setter arguments. Single object argument is stored as is,
+ * positional ones are named by the given fields, so set(token, tokenType, tokenExpire) works.
+ * @param {Array<String>} fields Names of the positional arguments
+ * @param {Array<*>} args Setter arguments
+ * @returns {Object|null} Entity, or null if nothing is given
+ */
+const toEntity = (fields, args) => {
+
+  if (args.length === 0 || args[0] === null || typeof args[0] === 'undefined')
+    return null;
+
+  if (args.length === 1 && typeof args[0] === 'object')
+    return { ...args[0] };
+
+  const entity = {};
+  fields.forEach((field, index) => {
+
+    if (typeof args[index] !== 'undefined')
+      entity[field] = args[index];
+
+  });
+
+  return entity;
+
+};
+
+module.exports = {
+  TOKEN_FIELDS,
+  CREDENTIALS_FIELDS,
+  toEntity,
+};
@@ -0,0 +1,100 @@
+/**
+ * Read-only provider taking entity from the environment variables
+ * @implements {EntityProvider}
+ */
+class EnvProvider {
+
+  /**
+   * Creates provider
+   * @param {Object<String>} variables Mapping of entity properties to the variable names
+   * @param {Object} [env=process.env] Environment
+   */
+  constructor(variables, env = process.env) {
+
+    if (!variables || typeof variables !== 'object' || Object.keys(variables).length === 0)
+      throw new TypeError('Mapping of entity properties to the environment variables must be a non-empty Object');
+
+    /**
+     * Mapping of entity properties to the variable names
+     * @type {Object<String>}
+     */
+    this.variables = { ...variables };
+
+    /**
+     * Environment
+     * @type {Object}
+     */
+    this.env = env;
+
+  }
+
+  /**
+   * Creates credentials provider reading CATTR_EMAIL and CATTR_PASSWORD
+   * @param {Object} [env=process.env] Environment
+   * @returns {EnvProvider}
+   */
+  static credentials(env) {
+
+    return new EnvProvider({ email: 'CATTR_EMAIL', password: 'CATTR_PASSWORD' }, env);
+
+  }
+
+  /**
+   * Creates token provider reading CATTR_TOKEN
+   * @param {Object} [env=process.env] Environment
+   * @returns {EnvProvider}
+   */
+  static token(env) {
+
+    return new EnvProvider({ token: 'CATTR_TOKEN' }, env);
+
+  }
+
+  /**
+   * Returns entity built from the environment
+   * @async
+   * @returns {Promise<Object|null>} Entity, or null if any of the variables is not set
+   */
+  async get() {
+
+    const entity = {};
+    const isComplete = Object.entries(this.variables).every(([ property, variable ]) => {
+
+      const value = this.env[variable];
+      if (typeof value !== 'string' || value.length === 0)
+        return false;
+
+      entity[property] = value;
+      return true;
+
+    });
+
+    return isComplete ? entity : null;
+
+  }
+
+  /**
+   * Environment cannot be changed, so renewed tokens are not stored
+   * @async
+   * @throws {Error} Always
+   */
+  async set() {
+
+    throw new Error(`Provider of ${Object.values(this.variables).join(', ')} environment variables is read-only`);
+
+  }
+
+  /**
+   * Environment cannot be changed, so clearing does nothing
+   * @async
+   */
+  // eslint-disable-next-line class-methods-use-this
+  async clear() {
+
+    return undefined;
+
+  }
+
+}
+
+module.exports = EnvProvider;
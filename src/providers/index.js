@@ -0,0 +1,14 @@
+const MemoryProvider = require('./memory');
+const JsonFileProvider = require('./json-file');
+const EncryptedFileProvider = require('./encrypted-file');
+const EnvProvider = require('./env');
+const { TOKEN_FIELDS, CREDENTIALS_FIELDS } = require('./entity');
+
+module.exports = {
+  MemoryProvider,
+  JsonFileProvider,
+  EncryptedFileProvider,
+  EnvProvider,
+  TOKEN_FIELDS,
+  CREDENTIALS_FIELDS,
+};
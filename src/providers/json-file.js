@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { TOKEN_FIELDS, toEntity } = require('./entity');
+
+/**
+ * Provider persisting entity into the JSON file, readable by the owner only
+ * @implements {EntityProvider}
+ */
+class JsonFileProvider {
+
+  /**
+   * Creates provider
+   * @param {String} path Path to the file
+   * @param {Object} [opts] Provider options
+   * @param {Array<String>} [opts.fields] Names of the setter positional arguments, token ones by default
+   */
+  constructor(path, opts = {}) {
+
+    if (typeof path !== 'string' || path.length === 0)
+      throw new TypeError('Incorrect provider file path given');
+
+    /**
+     * Path to the file
+     * @type {String}
+     */
+    this.path = path;
+
+    /**
+     * Names of the setter positional arguments
+     * @type {Array<String>}
+     */
+    this.fields = opts.fields || TOKEN_FIELDS;
+
+    /**
+     * Tail of the pending writes chain
+     * @type {Promise}
+     */
+    this.writes = Promise.resolve();
+
+  }
+
+  /**
+   * Returns stored entity
+   * @async
+   * @returns {Promise<Object|null>} Entity, or null if file does not exist
+   */
+  async get() {
+
+    let contents;
+
+    try {
+
+      contents = await fs.promises.readFile(this.path, 'utf8');
+
+    } catch (err) {
+
+      if (err.code === 'ENOENT')
+        return null;
+
+      throw err;
+
+    }
+
+    return JSON.parse(contents);
+
+  }
+
+  /**
+   * Atomically stores entity. Writes are applied one after another in the order of calls
+   * @async
+   * @param {...*} args Entity object, or its fields in the positional order
+   */
+  async set(...args) {
+
+    const entity = toEntity(this.fields, args);
+    if (entity === null) {
+
+      await this.clear();
+      return;
+
+    }
+
+    await this.enqueue(async () => {
+
+      // Temporary file is unique, so writes of other processes don't move it away
+      const tmpPath = `${this.path}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+      try {
+
+        await fs.promises.writeFile(tmpPath, JSON.stringify(entity), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+        await fs.promises.rename(tmpPath, this.path);
+
+      } catch (err) {
+
+        await fs.promises.unlink(tmpPath).catch(() => {});
+        throw err;
+
+      }
+
+    });
+
+  }
+
+  /**
+   * Removes the file
+   * @async
+   */
+  async clear() {
+
+    await this.enqueue(async () => {
+
+      try {
+
+        await fs.promises.unlink(this.path);
+
+      } catch (err) {
+
+        if (err.code !== 'ENOENT')
+          throw err;
+
+      }
+
+    });
+
+  }
+
+  /**
+   * Runs file operation after the pending ones
+   * @async
+   * @param {Function} operation Operation returning a Promise
+   * @returns {Promise<void>}
+   */
+  async enqueue(operation) {
+
+    const result = this.writes.then(operation);
+    this.writes = result.catch(() => {});
+    return result;
+
+  }
+
+}
+
+module.exports = JsonFileProvider;
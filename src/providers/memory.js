@@ -0,0 +1,65 @@
+const { TOKEN_FIELDS, toEntity } = require('./entity');
+
+/**
+ * Provider keeping entity in memory only
+ * @implements {EntityProvider}
+ */
+class MemoryProvider {
+
+  /**
+   * Creates provider
+   * @param {Object} [opts] Provider options
+   * @param {Array<String>} [opts.fields] Names of the setter positional arguments, token ones by default
+   * @param {Object|null} [opts.value] Initial entity
+   */
+  constructor(opts = {}) {
+
+    /**
+     * Names of the setter positional arguments
+     * @type {Array<String>}
+     */
+    this.fields = opts.fields || TOKEN_FIELDS;
+
+    /**
+     * Stored entity
+     * @type {Object|null}
+     */
+    this.value = opts.value ? { ...opts.value } : null;
+
+  }
+
+  /**
+   * Returns stored entity
+   * @async
+   * @returns {Promise<Object|null>}
+   */
+  async get() {
+
+    return this.value;
+
+  }
+
+  /**
+   * Stores entity
+   * @async
+   * @param {...*} args Entity object, or its fields in the positional order
+   */
+  async set(...args) {
+
+    this.value = toEntity(this.fields, args);
+
+  }
+
+  /**
+   * Forgets stored entity
+   * @async
+   */
+  async clear() {
+
+    this.value = null;
+
+  }
+
+}
+
+module.exports = MemoryProvider;
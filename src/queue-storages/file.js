@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Amount of log lines kept without compaction regardless of the amount of stored entries
+ * @type {Number}
+ */
+const COMPACTION_MIN_LINES = 100;
+
+/**
+ * Interval queue storage persisting entries into the NDJSON file.
+ * File is an append-only log of "add" and "remove" operations, compacted on read and once removed entries
+ * outnumber stored ones. Screenshots are kept in separate files of the "<path>.screenshots" directory.
+ * @implements {QueueStorage}
+ */
+class FileQueueStorage {
+
+  /**
+   * Creates storage
+   * @param {String} file Path to the queue file
+   */
+  constructor(file) {
+
+    if (typeof file !== 'string' || file.length === 0)
+      throw new TypeError('Incorrect queue file path given');
+
+    /**
+     * Path to the queue file
+     * @type {String}
+     */
+    this.path = file;
+
+    /**
+     * Path to the screenshots directory
+     * @type {String}
+     */
+    this.screenshotsPath = `${file}.screenshots`;
+
+    /**
+     * Stored entries by their IDs, loaded by the first read
+     * @type {Map<String, QueuedIntervalRecord>|null}
+     */
+    this.entries = null;
+
+    /**
+     * Amount of lines in the log
+     * @type {Number}
+     */
+    this.lines = 0;
+
+  }
+
+  /**
+   * Returns all stored entries in insertion order
+   * @async
+   * @returns {Promise<Array<QueuedIntervalRecord>>}
+   */
+  async list() {
+
+    let contents;
+
+    try {
+
+      contents = await fs.promises.readFile(this.path, 'utf8');
+
+    } catch (err) {
+
+      if (err.code !== 'ENOENT')
+        throw err;
+
+      contents = '';
+
+    }
+
+    const lines = contents.split('\n').filter(line => line.trim().length > 0);
+    const entries = new Map();
+
+    lines.forEach(line => {
+
+      let record;
+
+      // Skip lines damaged by interrupted writes
+      try {
+
+        record = JSON.parse(line);
+
+      } catch (err) {
+
+        return;
+
+      }
+
+      if (record.op === 'add' && record.entry && record.entry.id)
+        entries.set(record.entry.id, record.entry);
+      else if (record.op === 'remove')
+        entries.delete(record.id);
+
+    });
+
+    this.entries = entries;
+    this.lines = lines.length;
+
+    // Drop removed entries and broken lines from the log
+    if (lines.length !== entries.size)
+      await this.rewrite();
+
+    await this.removeOrphanScreenshots();
+    return [ ...entries.values() ];
+
+  }
+
+  /**
+   * Stores entry
+   * @async
+   * @param {QueuedIntervalRecord} entry      Entry to store
+   * @param {Buffer|null}          screenshot Screenshot of the interval
+   */
+  async add(entry, screenshot) {
+
+    if (this.entries === null)
+      await this.list();
+
+    // Screenshot is written first, so the logged entry never misses it
+    if (screenshot) {
+
+      await fs.promises.mkdir(this.screenshotsPath, { recursive: true, mode: 0o700 });
+      await fs.promises.writeFile(this.screenshotFile(entry.id), screenshot, { mode: 0o600 });
+
+    }
+
+    await this.append({ op: 'add', entry });
+    this.entries.set(entry.id, entry);
+
+  }
+
+  /**
+   * Returns screenshot of the stored entry
+   * @async
+   * @param {String} id Entry ID
+   * @returns {Promise<Buffer|null>} Screenshot, or null if it is missing
+   */
+  async getScreenshot(id) {
+
+    try {
+
+      return await fs.promises.readFile(this.screenshotFile(id));
+
+    } catch (err) {
+
+      if (err.code === 'ENOENT')
+        return null;
+
+      throw err;
+
+    }
+
+  }
+
+  /**
+   * Removes entry
+   * @async
+   * @param {String} id Entry ID
+   */
+  async remove(id) {
+
+    if (this.entries === null)
+      await this.list();
+
+    await this.append({ op: 'remove', id });
+    this.entries.delete(id);
+    await fs.promises.rm(this.screenshotFile(id), { force: true });
+
+    if (this.lines > Math.max(COMPACTION_MIN_LINES, this.entries.size * 2))
+      await this.rewrite();
+
+  }
+
+  /**
+   * Removes all entries
+   * @async
+   */
+  async clear() {
+
+    this.entries = new Map();
+    await this.rewrite();
+    await fs.promises.rm(this.screenshotsPath, { recursive: true, force: true });
+
+  }
+
+  /**
+   * Builds path to the screenshot file of the entry
+   * @param {String} id Entry ID
+   * @returns {String}
+   */
+  screenshotFile(id) {
+
+    // IDs are hex digests, the name is still sanitized to never leave the directory
+    return path.join(this.screenshotsPath, path.basename(String(id)));
+
+  }
+
+  /**
+   * Appends operation to the log
+   * @async
+   * @param {Object} record Operation record
+   */
+  async append(record) {
+
+    await fs.promises.appendFile(this.path, `${JSON.stringify(record)}\n`, { encoding: 'utf8', mode: 0o600 });
+    this.lines += 1;
+
+  }
+
+  /**
+   * Atomically replaces log with the stored entries
+   * @async
+   */
+  async rewrite() {
+
+    const tmpPath = `${this.path}.${process.pid}.tmp`;
+    const entries = [ ...this.entries.values() ];
+    const contents = entries.map(entry => `${JSON.stringify({ op: 'add', entry })}\n`).join('');
+
+    await fs.promises.writeFile(tmpPath, contents, { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tmpPath, this.path);
+    this.lines = entries.length;
+
+  }
+
+  /**
+   * Removes screenshots left by the interrupted operations
+   * @async
+   */
+  async removeOrphanScreenshots() {
+
+    let files;
+
+    try {
+
+      files = await fs.promises.readdir(this.screenshotsPath);
+
+    } catch (err) {
+
+      if (err.code === 'ENOENT')
+        return;
+
+      throw err;
+
+    }
+
+    await Promise.all(files
+      .filter(file => !this.entries.has(file))
+      .map(file => fs.promises.rm(path.join(this.screenshotsPath, file), { force: true })));
+
+  }
+
+}
+
+module.exports = FileQueueStorage;
@@ -0,0 +1,88 @@
+/**
+ * Interval queue storage keeping entries in memory only
+ * @implements {QueueStorage}
+ */
+class MemoryQueueStorage {
+
+  /**
+   * Creates storage
+   */
+  constructor() {
+
+    /**
+     * Stored entries by their IDs, in insertion order
+     * @type {Map<String, QueuedIntervalRecord>}
+     */
+    this.entries = new Map();
+
+    /**
+     * Screenshots of the stored entries by their IDs
+     * @type {Map<String, Buffer>}
+     */
+    this.screenshots = new Map();
+
+  }
+
+  /**
+   * Returns all stored entries in insertion order
+   * @async
+   * @returns {Promise<Array<QueuedIntervalRecord>>}
+   */
+  async list() {
+
+    return [ ...this.entries.values() ];
+
+  }
+
+  /**
+   * Stores entry
+   * @async
+   * @param {QueuedIntervalRecord} entry      Entry to store
+   * @param {Buffer|null}          screenshot Screenshot of the interval
+   */
+  async add(entry, screenshot) {
+
+    this.entries.set(entry.id, entry);
+    if (screenshot)
+      this.screenshots.set(entry.id, screenshot);
+
+  }
+
+  /**
+   * Returns screenshot of the stored entry
+   * @async
+   * @param {String} id Entry ID
+   * @returns {Promise<Buffer|null>} Screenshot, or null if it is missing
+   */
+  async getScreenshot(id) {
+
+    return this.screenshots.get(id) || null;
+
+  }
+
+  /**
+   * Removes entry
+   * @async
+   * @param {String} id Entry ID
+   */
+  async remove(id) {
+
+    this.entries.delete(id);
+    this.screenshots.delete(id);
+
+  }
+
+  /**
+   * Removes all entries
+   * @async
+   */
+  async clear() {
+
+    this.entries.clear();
+    this.screenshots.clear();
+
+  }
+
+}
+
+module.exports = MemoryQueueStorage;
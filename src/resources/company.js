@@ -1,3 +1,68 @@
+const { mapFields } = require('../fields');
+
+/**
+ * Color rule used to highlight worked time on the dashboard
+ * @typedef  {Object} CompanyColorRule
+ * @property {Number} start Lower bound, as a fraction of the working day
+ * @property {Number} end   Upper bound, as a fraction of the working day
+ * @property {String} color Color (like '#3CD7B6')
+ */
+
+/**
+ * Company settings. Settings missing in the backend response are null
+ * @typedef  {Object}                  CompanySettings
+ * @property {String|null}             timezone          Default timezone (like 'Europe/Moscow')
+ * @property {String|null}             language          Default interface language
+ * @property {Number|null}             workTime          Working day duration in hours
+ * @property {Number|null}             heartbeatPeriod   Heartbeat interval in seconds
+ * @property {Number|null}             screenshotsState  Screenshots capture policy
+ * @property {Number|null}             inactivityTimeout Inactivity detection period in seconds
+ * @property {Boolean|null}            autoApprove       Are manual time requests approved automatically?
+ * @property {Boolean|null}            autoThinning      Are old screenshots thinned automatically?
+ * @property {Number|null}             defaultPriorityId Default task priority ID
+ * @property {Array<CompanyColorRule>} colorRules        Dashboard color rules
+ */
+
+/**
+ * Changed company settings
+ * @typedef  {Object}                  CompanySettingsPatch
+ * @property {String}                  [timezone]          Default timezone (like 'Europe/Moscow')
+ * @property {String}                  [language]          Default interface language
+ * @property {Number}                  [workTime]          Working day duration in hours
+ * @property {Number}                  [heartbeatPeriod]   Heartbeat interval in seconds
+ * @property {Number}                  [screenshotsState]  Screenshots capture policy
+ * @property {Number}                  [inactivityTimeout] Inactivity detection period in seconds
+ * @property {Boolean}                 [autoApprove]       Are manual time requests approved automatically?
+ * @property {Boolean}                 [autoThinning]      Are old screenshots thinned automatically?
+ * @property {Number}                  [defaultPriorityId] Default task priority ID
+ * @property {Array<CompanyColorRule>} [colorRules]        Dashboard color rules
+ */
+
+/**
+ * Mapping of CompanySettingsPatch properties to the API fields
+ * @type {Object<String>}
+ */
+const SETTINGS_FIELDS = {
+  timezone: 'timezone',
+  language: 'language',
+  workTime: 'work_time',
+  heartbeatPeriod: 'heartbeat_period',
+  screenshotsState: 'screenshots_state',
+  inactivityTimeout: 'computer_time_popup',
+  autoApprove: 'auto_approve',
+  autoThinning: 'auto_thinning',
+  defaultPriorityId: 'default_priority_id',
+  colorRules: 'color',
+};
+
+/**
+ * Converts optional raw value
+ * @param {*} value Raw value
+ * @param {Function} type Type constructor (Number, String or Boolean)
+ * @returns {*} Converted value or null
+ */
+const optional = (value, type) => (value === null || typeof value === 'undefined' ? null : type(value));
+
 class Company {
 
   /**
@@ -8,14 +73,76 @@ class Company {
 
     this.$ = ctx;
 
+    /**
+     * Last fetched company settings
+     * @type {CompanySettings|null}
+     */
+    this.settings = null;
+
   }
 
   /**
-   * Fetch heartbeat interval
+   * Format raw company settings
+   * @param {Object} raw Raw settings
+   * @returns {CompanySettings}
+   */
+  static represent(raw) {
+
+    return {
+
+      timezone: optional(raw.timezone, String),
+      language: optional(raw.language, String),
+      workTime: optional(raw.work_time, Number),
+      heartbeatPeriod: optional(raw.heartbeat_period, Number),
+      screenshotsState: optional(raw.screenshots_state, Number),
+      inactivityTimeout: optional(raw.computer_time_popup, Number),
+      autoApprove: optional(raw.auto_approve, Boolean),
+      autoThinning: optional(raw.auto_thinning, Boolean),
+      defaultPriorityId: optional(raw.default_priority_id, Number),
+      colorRules: (Array.isArray(raw.color) ? raw.color : []).map(rule => ({
+        start: Number(rule.start),
+        end: Number(rule.end),
+        color: String(rule.color),
+      })),
+
+    };
+
+  }
+
+  /**
+   * Format settings patch into the API request fields
+   * @param {CompanySettingsPatch} patch Changed settings
+   * @returns {Object} Request fields
+   */
+  static serialize(patch) {
+
+    return mapFields(patch, SETTINGS_FIELDS);
+
+  }
+
+  /**
+   * Caches settings, emitting "settings:changed" if they differ from the previously fetched ones
+   * @param {CompanySettings} settings Fresh settings
+   * @returns {CompanySettings}
+   */
+  store(settings) {
+
+    const previous = this.settings;
+    this.settings = settings;
+
+    if (previous && JSON.stringify(previous) !== JSON.stringify(settings))
+      this.$.emit('settings:changed', settings, previous);
+
+    return settings;
+
+  }
+
+  /**
+   * Fetch company settings
    * @async
-   * @returns {Promise.<Number|null>} Heartbeat interval in seconds
+   * @returns {Promise<CompanySettings>}
    */
-  async heartbeatInterval() {
+  async getSettings() {
 
     const res = await this.$.get('/company-settings', {});
 
@@ -28,12 +155,51 @@ class Company {
 
     }
 
-    // Safely obtain the heartbeat interval
-    if (res.response.data && res.response.data.data && res.response.data.data.heartbeat_period)
-      return res.response.data.data.heartbeat_period;
+    return this.store(Company.represent(res.response.data?.data || {}));
 
-    // Return null if response format is unexpected
-    return null;
+  }
+
+  /**
+   * Updates company settings, available for admins only
+   * @async
+   * @param {CompanySettingsPatch} patch Changed settings
+   * @returns {Promise<CompanySettings>} Updated settings
+   */
+  async updateSettings(patch) {
+
+    if (!patch || typeof patch !== 'object')
+      throw new TypeError(`Changed settings must be passed as Object, but ${typeof patch} given`);
+
+    const res = await this.$.patch('/company-settings', Company.serialize(patch));
+
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    // Backend may respond with the updated settings, or with the bare status
+    if (res.response.data?.data && typeof res.response.data.data === 'object')
+      return this.store(Company.represent(res.response.data.data));
+
+    return this.getSettings();
+
+  }
+
+  /**
+   * Fetch heartbeat interval
+   * @async
+   * @returns {Promise.<Number|null>} Heartbeat interval in seconds
+   */
+  async heartbeatInterval() {
+
+    const { heartbeatPeriod } = await this.getSettings();
+
+    // Return null if heartbeat interval is not set
+    return heartbeatPeriod || null;
 
   }
 
@@ -62,11 +228,12 @@ class Company {
   /**
    * Fetch information about backend instance
    * @async
+   * @param {RequestOptions} [opts] Additional request options
    * @returns {Promise.<Object>} Company details
    */
-  async about() {
+  async about(opts = {}) {
 
-    const res = await this.$.get('/about', {});
+    const res = await this.$.get('/about', opts);
 
     if (!res.success) {
 
@@ -1,3 +1,6 @@
+const { mapFields } = require('../fields');
+const ValidationError = require('../errors/validation');
+
 /**
  * DTO representing interval which should be pushed
  * @typedef  {Object} IntervalPushDTO
@@ -20,11 +23,77 @@
  * @property {Date}   end       Date object representing end of the interval
  * @property {Number|null} mouseActivity    Percent of time of mouse activity
  * @property {Number|null} keyboardActivity Percent of time of keyboard activity
- * @property {Number} systemActivity  Percent of time of system reported activity
+ * @property {Number|null} systemActivity   Percent of time of system reported activity
+ * @property {IntervalActivity} activity    Activity breakdown
  * @property {Date}   createdAt Date of creation
  * @property {Date}   updatedAt Date of last update
  */
 
+/**
+ * Activity breakdown of the interval. Null means activity was not measured,
+ * which differs from 0 reported for a genuinely idle interval.
+ * @typedef  {Object}      IntervalActivity
+ * @property {Number|null} system   Percent of time of system reported activity
+ * @property {Number|null} mouse    Percent of time of mouse activity
+ * @property {Number|null} keyboard Percent of time of keyboard activity
+ */
+
+/**
+ * Changed properties of the interval
+ * @typedef  {Object} IntervalPatchDTO
+ * @property {Number} [taskId]    ID of the related task
+ * @property {Number} [userId]    ID of the related user
+ * @property {Date}   [start]     Date object representing start of the interval
+ * @property {Date}   [end]       Date object representing end of the interval
+ * @property {Number|null} [mouseActivity]    Percent of time of mouse activity
+ * @property {Number|null} [keyboardActivity] Percent of time of keyboard activity
+ * @property {Number} [systemActivity]  Percent of time of system reported activity
+ */
+
+/**
+ * Intervals filter
+ * @typedef  {Object}        IntervalFilters
+ * @property {Array<Number>} [userIds]    Intervals of these users only
+ * @property {Array<Number>} [taskIds]    Intervals of these tasks only
+ * @property {Array<Number>} [projectIds] Intervals of tasks within these projects only
+ * @property {Date}          [start]      Intervals started at this date or later
+ * @property {Date}          [end]        Intervals ended at this date or earlier
+ */
+
+/**
+ * Allowed interval duration
+ * @typedef  {Object}      IntervalDurationBounds
+ * @property {Number|null} min Minimal duration in seconds
+ * @property {Number|null} max Maximal duration in seconds (like the company screenshot interval)
+ * @property {Number}      [tolerance=5] Allowed deviation from the bounds in seconds, covering timer drift
+ */
+
+/**
+ * Interval push options
+ * @typedef  {Object}         IntervalPushOptions
+ * @property {Boolean|Object} [retry] Retry the push on network and 5xx failures (disabled by default),
+ *                                    either true to use client policy or policy overrides
+ * @property {Boolean} [noQueue] Do not put interval into the offline queue on network failure
+ */
+
+/**
+ * Batch push options
+ * @typedef  {Object}         IntervalBatchOptions
+ * @property {Number}         [concurrency=4] Amount of simultaneous requests if bulk endpoint is not available
+ * @property {Number}         [chunkSize=100] Amount of intervals sent within a single bulk request
+ * @property {Boolean|Object} [retry]         Retry the push on network and 5xx failures (disabled by default)
+ * @property {Boolean}        [noQueue]       Do not put intervals into the offline queue on network failure
+ */
+
+/**
+ * Push result of the single interval within the batch
+ * @typedef  {Object}             IntervalBatchResult
+ * @property {Number}             index    Position of the interval in the batch
+ * @property {Boolean}            success  Is interval created?
+ * @property {IntervalEntry|null} interval Created interval, if backend returned it
+ * @property {Error|null}         error    ValidationError, ApiError or NetworkError of the failed push
+ */
+
 /**
  * Active window properties (used within the Web/App Monitoring)
  * @typedef {Object} ActiveApplicationParams
@@ -33,6 +102,59 @@
  * @property {String} [url] Browser window's URL
  */
 
+/**
+ * Mapping of IntervalPatchDTO properties to the API fields
+ * @type {Object<String>}
+ */
+const INTERVAL_FIELDS = {
+  taskId: 'task_id',
+  userId: 'user_id',
+  start: 'start_at',
+  end: 'end_at',
+  systemActivity: 'activity_fill',
+  mouseActivity: 'mouse_fill',
+  keyboardActivity: 'keyboard_fill',
+};
+
+/**
+ * Mapping of IntervalActivity properties to the API fields
+ * @type {Object<String>}
+ */
+const ACTIVITY_FIELDS = {
+  system: 'activity_fill',
+  mouse: 'mouse_fill',
+  keyboard: 'keyboard_fill',
+};
+
+/**
+ * Converts raw activity value, keeping 0 distinct from the missing value
+ * @param {*} value Raw activity value
+ * @returns {Number|null}
+ */
+const toActivity = value => (value === null || typeof value === 'undefined' || value === '' ? null : Number(value));
+
+/**
+ * Default allowed deviation of the interval duration from its bounds, in seconds
+ * @type {Number}
+ */
+const DURATION_TOLERANCE = 5;
+
+/**
+ * Client error statuses of the bulk request caused by the request as a whole, not by its intervals
+ * @type {Array<Number>}
+ */
+const TRANSIENT_CHUNK_STATUSES = [ 401, 408, 429 ];
+
+/**
+ * Builds result of the failed push within the batch
+ * @param {Number} index Position of the interval in the batch
+ * @param {Error}  error Push failure
+ * @returns {IntervalBatchResult}
+ */
+const failedResult = (index, error) => ({
+  index, success: false, interval: null, error,
+});
+
 class CattrIntervals {
 
   /**
@@ -43,6 +165,34 @@ class CattrIntervals {
 
     this.$ = ctx;
 
+    /**
+     * Allowed duration of pushed intervals, not checked while bounds are null.
+     * Maximum is filled from the screenshots interval of the user on login or before the first push,
+     * unless set by hand.
+     * @type {IntervalDurationBounds}
+     */
+    this.durationBounds = { min: null, max: null, tolerance: DURATION_TOLERANCE };
+
+    /**
+     * Maximal duration taken from the user settings, so it is updated on the next login
+     * @type {Number|null}
+     */
+    this.userMaxDuration = null;
+
+    /**
+     * User settings request in progress
+     * @type {Promise<void>|null}
+     */
+    this.userBoundsRequest = null;
+
+    this.$.on('login', (token, user) => this.applyUserBounds(user));
+
+    /**
+     * Is bulk creation endpoint supported by backend? Null until the first batch push
+     * @type {Boolean|null}
+     */
+    this.isBulkCreateSupported = null;
+
   }
 
   /**
@@ -52,15 +202,18 @@ class CattrIntervals {
    */
   static represent(raw) {
 
+    const activity = CattrIntervals.representActivity(raw);
+
     return {
       id: Number(raw.id),
       taskId: Number(raw.task_id),
       userId: Number(raw.user_id),
       start: new Date(raw.start_at),
       end: new Date(raw.end_at),
-      systemActivity: Number(raw.activity_fill),
-      mouseActivity: Number(raw.mouse_fill) || null,
-      keyboardActivity: Number(raw.keyboard_fill) || null,
+      systemActivity: activity.system,
+      mouseActivity: activity.mouse,
+      keyboardActivity: activity.keyboard,
+      activity,
       createdAt: new Date(raw.created_at),
       updatedAt: new Date(raw.updated_at)
     };
@@ -68,14 +221,102 @@ class CattrIntervals {
   }
 
   /**
-   * Creates interval
-   * @async
+   * Extracts activity breakdown from the raw interval
+   * @param {Object} raw Raw interval
+   * @returns {IntervalActivity}
+   */
+  static representActivity(raw) {
+
+    const activity = {};
+
+    Object.entries(ACTIVITY_FIELDS).forEach(([ key, field ]) => {
+
+      activity[key] = toActivity(raw[field]);
+
+    });
+
+    return activity;
+
+  }
+
+  /**
+   * Validates interval DTO
    * @param {IntervalPushDTO} interval Properties of the interval
+   * @param {IntervalDurationBounds} [bounds] Allowed interval duration
+   * @returns {Array<ValidationIssue>} Every offending field, empty if interval is valid
    */
-  async create(interval) {
+  static validate(interval, bounds = {}) {
 
-    if (typeof interval !== 'object')
-      throw new TypeError(`Interval DTO must be an object, but ${typeof intervalId} is given`);
+    const errors = [];
+
+    if (!interval || typeof interval !== 'object')
+      return [ { field: 'interval', message: 'must be an object' } ];
+
+    [ 'taskId', 'userId' ].forEach(field => {
+
+      if (!Number.isInteger(interval[field]) || interval[field] < 1)
+        errors.push({ field, message: `must be a positive integer, but ${interval[field]} given` });
+
+    });
+
+    const isValidDate = date => date instanceof Date && !Number.isNaN(date.getTime());
+
+    [ 'start', 'end' ].forEach(field => {
+
+      if (!isValidDate(interval[field]))
+        errors.push({ field, message: 'must be a valid Date' });
+
+    });
+
+    if (isValidDate(interval.start) && isValidDate(interval.end)) {
+
+      const duration = (interval.end.getTime() - interval.start.getTime()) / 1000;
+      const tolerance = typeof bounds.tolerance === 'number' ? bounds.tolerance : DURATION_TOLERANCE;
+
+      if (duration <= 0)
+        errors.push({ field: 'end', message: 'must be later than start' });
+      else if (typeof bounds.min === 'number' && duration < bounds.min - tolerance)
+        errors.push({ field: 'end', message: `interval duration ${duration}s is shorter than ${bounds.min}s` });
+      else if (typeof bounds.max === 'number' && duration > bounds.max + tolerance)
+        errors.push({ field: 'end', message: `interval duration ${duration}s is longer than ${bounds.max}s` });
+
+    }
+
+    const isPercentage = value => typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= 100;
+
+    if (!isPercentage(interval.systemActivity))
+      errors.push({ field: 'systemActivity', message: `must be a percentage within 0-100, but ${interval.systemActivity} given` });
+
+    [ 'mouseActivity', 'keyboardActivity' ].forEach(field => {
+
+      if (interval[field] !== null && typeof interval[field] !== 'undefined' && !isPercentage(interval[field]))
+        errors.push({ field, message: `must be a percentage within 0-100 or null, but ${interval[field]} given` });
+
+    });
+
+    return errors;
+
+  }
+
+  /**
+   * Throws ValidationError if interval DTO is invalid
+   * @param {IntervalPushDTO} interval Properties of the interval
+   * @param {IntervalDurationBounds} [bounds] Allowed interval duration
+   */
+  static assertValid(interval, bounds) {
+
+    const errors = CattrIntervals.validate(interval, bounds);
+    if (errors.length > 0)
+      throw new ValidationError(errors);
+
+  }
+
+  /**
+   * Format interval DTO into the API request fields
+   * @param {IntervalPushDTO} interval Properties of the interval
+   * @returns {Object} Request fields
+   */
+  static serialize(interval) {
 
     const reqData = {};
     reqData.task_id = interval.taskId;
@@ -84,17 +325,161 @@ class CattrIntervals {
     reqData.end_at = interval.end.toISOString();
     reqData.activity_fill = interval.systemActivity;
 
-    if (interval.keyboardActivity)
+    // Zero activity is sent as is, only unmeasured activity is omitted
+    if (interval.keyboardActivity !== null && typeof interval.keyboardActivity !== 'undefined')
       reqData.keyboard_fill = interval.keyboardActivity;
 
-    if (interval.mouseActivity)
+    if (interval.mouseActivity !== null && typeof interval.mouseActivity !== 'undefined')
       reqData.mouse_fill = interval.mouseActivity;
 
-    const res = await this.$.post('time-intervals/create', reqData, { asFormData: true });
+    return reqData;
+
+  }
+
+  /**
+   * Format interval patch into the API request fields
+   * @param {IntervalPatchDTO} patch Changed properties of the interval
+   * @returns {Object} Request fields
+   */
+  static serializePatch(patch) {
+
+    const reqData = mapFields(patch, INTERVAL_FIELDS);
+
+    [ 'start_at', 'end_at' ].forEach(field => {
+
+      if (reqData[field] instanceof Date)
+        reqData[field] = reqData[field].toISOString();
+
+    });
+
+    return reqData;
+
+  }
+
+  /**
+   * Converts intervals filter into the API filtering options
+   * @param {IntervalFilters} filters Intervals filter
+   * @returns {Object} Filtering options
+   */
+  static serializeFilters(filters) {
+
+    const {
+      userIds, taskIds, projectIds, start, end, ...rest
+    } = filters;
+
+    const where = { ...rest };
+
+    if (Array.isArray(userIds))
+      where.user_id = [ 'in', userIds ];
+
+    if (Array.isArray(taskIds))
+      where.task_id = [ 'in', taskIds ];
+
+    if (Array.isArray(projectIds))
+      where['task.project_id'] = [ 'in', projectIds ];
+
+    if (start instanceof Date)
+      where.start_at = [ '>=', start.toISOString() ];
+
+    if (end instanceof Date)
+      where.end_at = [ '<=', end.toISOString() ];
+
+    return where;
+
+  }
+
+  /**
+   * Builds network error of the failed push, putting interval into the offline queue if it is enabled
+   * @async
+   * @param {RequestResult}       res        Failed request result
+   * @param {IntervalPushDTO}     interval   Properties of the interval
+   * @param {Buffer|null}         screenshot Screenshot
+   * @param {IntervalPushOptions} opts       Push options
+   * @returns {Promise<NetworkError>} Error with isQueued flag set if interval is queued
+   */
+  async queueOnNetworkError(res, interval, screenshot, opts) {
+
+    const error = new this.$.NetworkError(res);
+
+    if (!opts.noQueue && this.$.intervalQueue.isEnabled) {
+
+      await this.$.intervalQueue.enqueue(interval, screenshot);
+      error.isQueued = true;
+
+    }
+
+    return error;
+
+  }
+
+  /**
+   * Limits interval duration by the screenshots interval of the user. Bounds set by hand are kept.
+   * @param {UserEntity} user Logged in user
+   */
+  applyUserBounds(user) {
+
+    // Screenshots interval is set in minutes
+    const minutes = user ? user.screenshotsInterval : NaN;
+    if (!Number.isFinite(minutes) || minutes <= 0)
+      return;
+
+    if (this.durationBounds.max !== null && this.durationBounds.max !== this.userMaxDuration)
+      return;
+
+    this.userMaxDuration = minutes * 60;
+    this.durationBounds.max = this.userMaxDuration;
+
+  }
+
+  /**
+   * Fetches user settings to fill duration bounds, if they are neither filled on login nor set by hand.
+   * Failures are ignored, settings are requested again before the next push.
+   * @async
+   * @returns {Promise<void>}
+   */
+  async loadUserBounds() {
+
+    if (this.userMaxDuration !== null || this.durationBounds.max !== null)
+      return;
+
+    if (!this.userBoundsRequest) {
+
+      this.userBoundsRequest = this.$.authentication.me({ retry: false })
+        .then(user => this.applyUserBounds(user))
+        .catch(() => {})
+        .finally(() => {
+
+          this.userBoundsRequest = null;
+
+        });
+
+    }
+
+    await this.userBoundsRequest;
+
+  }
+
+  /**
+   * Creates interval
+   * @async
+   * @param {IntervalPushDTO} interval Properties of the interval
+   * @param {IntervalPushOptions} [opts] Push options
+   * @throws {ValidationError} If interval properties are invalid
+   */
+  async create(interval, opts = {}) {
+
+    if (typeof interval !== 'object')
+      throw new TypeError(`Interval DTO must be an object, but ${typeof interval} is given`);
+
+    await this.loadUserBounds();
+    CattrIntervals.assertValid(interval, this.durationBounds);
+
+    const reqData = CattrIntervals.serialize(interval);
+    const res = await this.$.post('time-intervals/create', reqData, { asFormData: true, retry: opts.retry || false });
     if (!res.success) {
 
       if (res.isNetworkError)
-        throw new this.$.NetworkError(res);
+        throw await this.queueOnNetworkError(res, interval, null, opts);
 
       throw new this.$.ApiError(res);
 
@@ -108,32 +493,242 @@ class CattrIntervals {
    * Creates interval with screenshot
    * @async
    * @param {IntervalPushDTO} interval Properties of the interval
-   * @param {Buffer} screenshot Screenshot in JPG or PNG
+   * @param {Buffer} screenshot Screenshot, pre-processed by the screenshots pipeline
+   * @param {IntervalPushOptions} [opts] Push options
+   * @throws {ValidationError} If interval properties are invalid
    */
-  async createWithScreenshot(interval, screenshot) {
+  async createWithScreenshot(interval, screenshot, opts = {}) {
 
     if (typeof interval !== 'object')
-      throw new TypeError(`Interval DTO must be an object, but ${typeof intervalId} is given`);
+      throw new TypeError(`Interval DTO must be an object, but ${typeof interval} is given`);
 
     if (!Buffer.isBuffer(screenshot))
       throw new TypeError(`Screenshot must be a Buffer, but ${typeof screenshot} is given`);
 
-    const reqData = {};
-    reqData.task_id = interval.taskId;
-    reqData.user_id = interval.userId;
-    reqData.start_at = interval.start.toISOString();
-    reqData.end_at = interval.end.toISOString();
-    reqData.activity_fill = interval.systemActivity;
-    reqData.screenshot = [ screenshot, { filename: 'screenshot.jpeg' } ];
+    await this.loadUserBounds();
+    CattrIntervals.assertValid(interval, this.durationBounds);
 
-    if (interval.keyboardActivity)
-      reqData.keyboard_fill = interval.keyboardActivity;
+    const reqData = CattrIntervals.serialize(interval);
+    reqData.screenshot = await this.$.screenshots.prepare(screenshot);
 
-    if (interval.mouseActivity)
-      reqData.mouse_fill = interval.mouseActivity;
+    const res = await this.$.post('time-intervals/create', reqData, { asFormData: true, retry: opts.retry || false });
+
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw await this.queueOnNetworkError(res, interval, screenshot, opts);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return res;
+
+  }
+
+  /**
+   * Creates several intervals, using bulk endpoint if backend supports it, or separate
+   * requests with bounded concurrency otherwise. Never throws on push failures,
+   * result of every interval is reported instead.
+   * @async
+   * @param {Array<IntervalPushDTO>} intervals Properties of the intervals
+   * @param {IntervalBatchOptions} [opts] Batch push options
+   * @returns {Promise<Array<IntervalBatchResult>>} Results in the same order as given intervals
+   */
+  async createMany(intervals, opts = {}) {
+
+    if (!Array.isArray(intervals))
+      throw new TypeError(`Intervals must be an Array, but ${typeof intervals} is given`);
+
+    const { concurrency = 4, chunkSize = 100 } = opts;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1)
+      throw new TypeError(`Concurrency must be a positive integer, but ${concurrency} given`);
+
+    if (!Number.isInteger(chunkSize) || chunkSize < 1)
+      throw new TypeError(`Chunk size must be a positive integer, but ${chunkSize} given`);
+
+    await this.loadUserBounds();
+
+    const results = new Array(intervals.length);
+    const valid = [];
+
+    intervals.forEach((interval, index) => {
+
+      const errors = CattrIntervals.validate(interval, this.durationBounds);
+      if (errors.length > 0)
+        results[index] = failedResult(index, new this.$.ValidationError(errors));
+      else
+        valid.push(index);
+
+    });
+
+    let pending = valid;
+
+    // Servers known to miss the bulk endpoint are not even asked
+    if (this.$.capabilities && !this.$.capabilities.bulkIntervalCreate)
+      this.isBulkCreateSupported = false;
+
+    if (this.isBulkCreateSupported !== false && pending.length > 0) {
+
+      const chunks = [];
+      for (let i = 0; i < pending.length; i += chunkSize)
+        chunks.push(pending.slice(i, i + chunkSize));
+
+      pending = [];
+
+      for (let i = 0; i < chunks.length; i += 1) {
+
+        // Chunks are sent one by one, so backend is not flooded by huge batches
+        // eslint-disable-next-line no-await-in-loop
+        const chunkResults = await this.bulkCreate(chunks[i].map(index => intervals[index]), opts);
+
+        // Bulk endpoint is missing, the rest is pushed one by one
+        if (chunkResults === null && this.isBulkCreateSupported === false) {
+
+          pending.push(...chunks.slice(i).flat());
+          break;
+
+        }
+
+        // Chunk is rejected as a whole, its intervals are pushed one by one to find the offending ones
+        if (chunkResults === null)
+          pending.push(...chunks[i]);
+        else {
+
+          chunkResults.forEach((result, position) => {
+
+            const index = chunks[i][position];
+            results[index] = { ...result, index };
+
+          });
+
+        }
+
+      }
+
+    }
+
+    let next = 0;
+    const worker = async () => {
+
+      while (next < pending.length) {
+
+        const index = pending[next];
+        next += 1;
+
+        // eslint-disable-next-line no-await-in-loop
+        results[index] = await this.createSettled(intervals[index], index, opts);
+
+      }
+
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, pending.length) }, worker));
+    return results;
+
+  }
+
+  /**
+   * Pushes chunk of intervals through the bulk endpoint
+   * @async
+   * @param {Array<IntervalPushDTO>} intervals Validated intervals
+   * @param {IntervalBatchOptions} opts Batch push options
+   * @returns {Promise<Array<IntervalBatchResult>|null>} Chunk results, or null if chunk should be pushed
+   *                                                    interval by interval (bulk endpoint is not supported
+   *                                                    or backend rejected some of the intervals)
+   */
+  async bulkCreate(intervals, opts) {
+
+    const res = await this.$.post('time-intervals/bulk-create', {
+      intervals: intervals.map(CattrIntervals.serialize),
+    }, { retry: opts.retry || false });
+
+    if (!res.success && !res.isNetworkError && [ 404, 405 ].includes(res.error.response.status)) {
+
+      this.isBulkCreateSupported = false;
+      return null;
+
+    }
+
+    // Bulk creation is transactional, so rejection of the single interval fails the whole chunk
+    if (!res.success && !res.isNetworkError) {
+
+      const { status } = res.error.response;
+      if (status >= 400 && status < 500 && !TRANSIENT_CHUNK_STATUSES.includes(status))
+        return null;
+
+    }
+
+    if (!res.success) {
+
+      // Network and server failures are shared by the whole chunk
+      const error = res.isNetworkError ? new this.$.NetworkError(res) : new this.$.ApiError(res);
+
+      if (res.isNetworkError && !opts.noQueue && this.$.intervalQueue.isEnabled) {
+
+        await Promise.all(intervals.map(interval => this.$.intervalQueue.enqueue(interval, null)));
+        error.isQueued = true;
+
+      }
+
+      return intervals.map(() => failedResult(null, error));
+
+    }
+
+    this.isBulkCreateSupported = true;
+
+    const created = Array.isArray(res.response.data) ? res.response.data : [];
+    return intervals.map((interval, position) => ({
+      success: true,
+      interval: created[position] ? CattrIntervals.represent(created[position]) : null,
+      error: null,
+    }));
+
+  }
+
+  /**
+   * Creates interval, reporting failure instead of throwing it
+   * @async
+   * @param {IntervalPushDTO} interval Properties of the interval
+   * @param {Number} index Position of the interval in the batch
+   * @param {IntervalPushOptions} opts Push options
+   * @returns {Promise<IntervalBatchResult>}
+   */
+  async createSettled(interval, index, opts) {
+
+    try {
+
+      const res = await this.create(interval, { retry: opts.retry, noQueue: opts.noQueue });
+      const created = res.response.data;
+
+      return {
+        index,
+        success: true,
+        interval: created && typeof created === 'object' && created.id ? CattrIntervals.represent(created) : null,
+        error: null,
+      };
+
+    } catch (error) {
 
-    const res = await this.$.post('time-intervals/create', reqData, { asFormData: true });
+      return failedResult(index, error);
 
+    }
+
+  }
+
+  /**
+   * Returns list of intervals
+   * @async
+   * @param {IntervalFilters} [filters] Intervals filter
+   * @returns {Promise<Array<IntervalEntry>>}
+   */
+  async list(filters) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Intervals filtering options must be an Object, but ${typeof filters} given`);
+
+    const res = await this.$.post('time-intervals/list', CattrIntervals.serializeFilters(filters || {}), { noPaginate: true });
     if (!res.success) {
 
       if (res.isNetworkError)
@@ -143,7 +738,111 @@ class CattrIntervals {
 
     }
 
-    return res;
+    return res.response.data.map(CattrIntervals.represent);
+
+  }
+
+  /**
+   * Returns interval
+   * @async
+   * @param {Number} intervalId Interval ID
+   * @returns {Promise<IntervalEntry>}
+   */
+  async get(intervalId) {
+
+    if (typeof intervalId !== 'number')
+      throw new TypeError(`Interval ID must be a Number, but ${typeof intervalId} is given`);
+
+    const res = await this.$.post('time-intervals/show', { id: intervalId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrIntervals.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates interval
+   * @async
+   * @param {Number} intervalId Interval ID
+   * @param {IntervalPatchDTO} patch Changed properties of the interval
+   * @returns {Promise<IntervalEntry>}
+   */
+  async update(intervalId, patch) {
+
+    if (typeof intervalId !== 'number')
+      throw new TypeError(`Interval ID must be a Number, but ${typeof intervalId} is given`);
+
+    if (!patch || typeof patch !== 'object')
+      throw new TypeError(`Changed properties of the interval must be passed as Object, but ${typeof patch} given`);
+
+    const res = await this.$.post('time-intervals/edit', { ...CattrIntervals.serializePatch(patch), id: intervalId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrIntervals.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates several intervals at once
+   * @async
+   * @param {Array<IntervalPatchDTO & { id: Number }>} patches Changed properties of every interval along with their IDs
+   * @returns {Promise<Boolean>}
+   */
+  async bulkEdit(patches) {
+
+    if (!Array.isArray(patches) || patches.some(patch => !patch || typeof patch.id !== 'number'))
+      throw new TypeError('Intervals patches must be an Array of objects with numeric IDs');
+
+    const res = await this.$.post('time-intervals/bulk-edit', { intervals: patches.map(CattrIntervals.serializePatch) });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Removes several intervals at once
+   * @async
+   * @param {Array<Number>} intervalIds Identifiers of intervals being removed
+   * @returns {Promise<Boolean>}
+   */
+  async bulkRemove(intervalIds) {
+
+    if (!Array.isArray(intervalIds) || intervalIds.some(id => typeof id !== 'number'))
+      throw new TypeError('Interval IDs must be an Array of Numbers');
+
+    const res = await this.$.post('time-intervals/bulk-remove', { intervals: intervalIds });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
 
   }
 
@@ -1,3 +1,180 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const CattrIntervals = require('./intervals');
+const ValidationError = require('../errors/validation');
+
+/**
+ * Archive format identifier
+ * @type {String}
+ */
+const ARCHIVE_FORMAT = 'cattr-offline-sync';
+
+/**
+ * Archive format version
+ * @type {Number}
+ */
+const ARCHIVE_VERSION = 2;
+
+/**
+ * Locally recorded interval to be exported
+ * @typedef  {Object}          OfflineIntervalRecord
+ * @property {IntervalPushDTO} interval     Properties of the interval
+ * @property {Buffer}          [screenshot] Screenshot captured within this interval
+ */
+
+/**
+ * Single part of the offline sync archive, uploaded to its own import endpoint.
+ * Payload is encrypted by AES-256-GCM with a random key, which is encrypted by the server RSA public key
+ * (OAEP, SHA-256). Header fields are authenticated by GCM as additional data, and the whole part is signed
+ * by the client signing key, so backend verifies both the integrity and the author of the part.
+ * @typedef  {Object} OfflineSyncPart
+ * @property {String} format         Always "cattr-offline-sync"
+ * @property {Number} version        Archive format version
+ * @property {String} part           Part name, "intervals" or "screenshots"
+ * @property {String} createdAt      ISO date of creation
+ * @property {String} keyFingerprint SHA-256 fingerprint of the server public key used (hex)
+ * @property {String} signerKey      Base64-encoded public key of the signer (SPKI DER)
+ * @property {String} key            Base64-encoded RSA-encrypted AES key
+ * @property {String} iv             Base64-encoded AES-GCM initialization vector
+ * @property {String} authTag        Base64-encoded AES-GCM authentication tag
+ * @property {String} data           Base64-encoded encrypted payload
+ * @property {String} signature      Base64-encoded signature of the other fields
+ */
+
+/**
+ * Offline sync archive. Format is defined by this client, backend documentation does not describe one.
+ * @typedef  {Object}               OfflineSyncArchive
+ * @property {String}               format      Always "cattr-offline-sync"
+ * @property {Number}               version     Archive format version
+ * @property {OfflineSyncPart}      intervals   Intervals part
+ * @property {OfflineSyncPart|null} screenshots Screenshots part, if any screenshot is exported
+ */
+
+/**
+ * Archive creation result
+ * @typedef  {Object} OfflineSyncExport
+ * @property {Buffer} archive     Serialized OfflineSyncArchive
+ * @property {Number} intervals   Amount of exported intervals
+ * @property {Number} screenshots Amount of exported screenshots
+ */
+
+/**
+ * Import result of the single interval
+ * @typedef  {Object}      OfflineSyncImportEntry
+ * @property {Number}      index      Position of the interval in the archive
+ * @property {Boolean}     accepted   Is interval accepted by backend?
+ * @property {Number|null} intervalId ID of the created interval
+ * @property {String|null} error      Rejection reason
+ */
+
+/**
+ * Archive import result
+ * @typedef  {Object}                        OfflineSyncImportReport
+ * @property {Array<OfflineSyncImportEntry>} intervals   Per-interval results
+ * @property {Array<OfflineSyncImportEntry>} screenshots Per-screenshot results
+ * @property {Number}                        accepted    Amount of accepted intervals
+ * @property {Number}                        rejected    Amount of rejected intervals
+ */
+
+/**
+ * Converts public key into PEM form
+ * @param {String} key Public key in PEM or bare base64 DER form
+ * @returns {String} PEM-encoded key
+ */
+const toPem = key => {
+
+  if (key.includes('-----BEGIN'))
+    return key;
+
+  const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----\n`;
+
+};
+
+/**
+ * Header fields of the part, authenticated as the AES-GCM additional data
+ * @type {Array<String>}
+ */
+const HEADER_FIELDS = [ 'format', 'version', 'part', 'createdAt', 'keyFingerprint', 'signerKey' ];
+
+/**
+ * Fields of the part covered by its signature
+ * @type {Array<String>}
+ */
+const SIGNED_FIELDS = [ ...HEADER_FIELDS, 'key', 'iv', 'authTag', 'data' ];
+
+/**
+ * Builds string of the given part fields
+ * @param {OfflineSyncPart} part Archive part
+ * @param {Array<String>} fields Field names
+ * @returns {String}
+ */
+const joinFields = (part, fields) => fields.map(field => part[field]).join('.');
+
+/**
+ * Encrypts and signs the archive part
+ * @param {Object} header Header fields of the part
+ * @param {Object} payload Data to encrypt
+ * @param {String} pem Server public key in PEM form
+ * @param {KeyObject} signingKey Client private key
+ * @returns {OfflineSyncPart}
+ */
+const createPart = (header, payload, pem, signingKey) => {
+
+  const encryptionKey = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  cipher.setAAD(Buffer.from(joinFields(header, HEADER_FIELDS), 'utf8'));
+  const data = Buffer.concat([ cipher.update(JSON.stringify(payload), 'utf8'), cipher.final() ]);
+
+  const part = {
+    ...header,
+    key: crypto.publicEncrypt({ key: pem, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' }, encryptionKey).toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+
+  // EdDSA keys define their digest themselves
+  const digest = [ 'ed25519', 'ed448' ].includes(signingKey.asymmetricKeyType) ? null : 'sha256';
+  part.signature = crypto.sign(digest, Buffer.from(joinFields(part, SIGNED_FIELDS), 'utf8'), signingKey).toString('base64');
+
+  return part;
+
+};
+
+/**
+ * Parses archive contents
+ * @param {Buffer} contents Serialized archive
+ * @returns {OfflineSyncArchive}
+ */
+const parseArchive = contents => {
+
+  let archive;
+
+  try {
+
+    archive = JSON.parse(contents.toString('utf8'));
+
+  } catch (err) {
+
+    throw new TypeError('Archive is not a valid JSON');
+
+  }
+
+  if (!archive || archive.format !== ARCHIVE_FORMAT || archive.version !== ARCHIVE_VERSION || !archive.intervals)
+    throw new TypeError(`Archive is not a "${ARCHIVE_FORMAT}" version ${ARCHIVE_VERSION} archive`);
+
+  return archive;
+
+};
+
+/**
+ * Offline sync resource. Server public key is served by "offline-sync/public-key", archive parts are uploaded
+ * as the multipart "file" field, intervals to "offline-sync/upload-intervals" and screenshots
+ * to "offline-sync/upload-screenshots".
+ */
 class OfflineSync {
 
   /**
@@ -10,6 +187,84 @@ class OfflineSync {
 
   }
 
+  /**
+   * Format raw import result entry
+   * @param {Object} raw   Raw result entry
+   * @param {Number} index Position of the entry in the response
+   * @returns {OfflineSyncImportEntry}
+   */
+  static represent(raw, index) {
+
+    const accepted = raw.success !== false && !raw.error;
+    const error = raw.error && typeof raw.error === 'object' ? raw.error.message : raw.error;
+
+    return {
+      index: Number.isInteger(raw.index) ? raw.index : index,
+      accepted,
+      intervalId: accepted && (raw.interval_id || raw.id) ? Number(raw.interval_id || raw.id) : null,
+      error: accepted ? null : String(error || raw.message || 'unknown error'),
+    };
+
+  }
+
+  /**
+   * Encrypts records into the archive
+   * @param {String} publicKey RSA public key in PEM or bare base64 DER form
+   * @param {Array<OfflineIntervalRecord>} records Intervals to export
+   * @param {KeyObject|String} signingKey Client private key (Ed25519, Ed448, RSA or EC) signing the archive
+   * @returns {OfflineSyncExport}
+   */
+  static encrypt(publicKey, records, signingKey) {
+
+    if (typeof publicKey !== 'string' || publicKey.length === 0)
+      throw new TypeError('Incorrect public key given');
+
+    if (!Array.isArray(records))
+      throw new TypeError(`Records must be an Array, but ${typeof records} given`);
+
+    if (!signingKey || (typeof signingKey !== 'string' && !(signingKey instanceof crypto.KeyObject)))
+      throw new TypeError('Archive signing key must be a private KeyObject or PEM string');
+
+    const privateKey = typeof signingKey === 'string' ? crypto.createPrivateKey(signingKey) : signingKey;
+    if (privateKey.type !== 'private')
+      throw new TypeError(`Archive signing key must be private, but ${privateKey.type} key given`);
+
+    // Every offending field of every record is reported at once
+    const errors = records.flatMap((record, index) => CattrIntervals.validate(record && record.interval)
+      .map(({ field, message }) => ({ field: `[${index}].${field}`, message })));
+
+    if (errors.length > 0)
+      throw new ValidationError(errors);
+
+    const intervals = records.map((record, index) => ({ index, ...CattrIntervals.serialize(record.interval) }));
+    const screenshots = records
+      .map((record, index) => (Buffer.isBuffer(record.screenshot) ? { index, screenshot: record.screenshot.toString('base64') } : null))
+      .filter(Boolean);
+
+    const pem = toPem(publicKey);
+    const header = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      createdAt: new Date().toISOString(),
+      keyFingerprint: crypto.createHash('sha256').update(crypto.createPublicKey(pem).export({ type: 'spki', format: 'der' })).digest('hex'),
+      signerKey: crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }).toString('base64'),
+    };
+
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      intervals: createPart({ ...header, part: 'intervals' }, { intervals }, pem, privateKey),
+      screenshots: screenshots.length > 0 ? createPart({ ...header, part: 'screenshots' }, { screenshots }, pem, privateKey) : null,
+    };
+
+    return {
+      archive: Buffer.from(JSON.stringify(archive), 'utf8'),
+      intervals: intervals.length,
+      screenshots: screenshots.length,
+    };
+
+  }
+
   /**
    * Fetch public key to encrypt intervals digest
    * @async
@@ -32,6 +287,143 @@ class OfflineSync {
 
   }
 
+  /**
+   * Encrypts locally recorded intervals with the server public key into the archive
+   * @async
+   * @param {Array<OfflineIntervalRecord>} records Intervals to export
+   * @param {Object} opts Export options
+   * @param {KeyObject|String} opts.signingKey Client private key signing the archive
+   * @param {String} [opts.publicKey] Public key to use instead of fetching it from the server
+   * @returns {Promise<OfflineSyncExport>}
+   */
+  async createArchive(records, opts = {}) {
+
+    if (!opts.signingKey)
+      throw new TypeError('Archive signing key is required');
+
+    const publicKey = opts.publicKey || await this.getPublicKey();
+    return OfflineSync.encrypt(publicKey, records, opts.signingKey);
+
+  }
+
+  /**
+   * Encrypts locally recorded intervals into the archive file
+   * @async
+   * @param {String} path Path to the archive file
+   * @param {Array<OfflineIntervalRecord>} records Intervals to export
+   * @param {Object} opts Export options
+   * @param {KeyObject|String} opts.signingKey Client private key signing the archive
+   * @param {String} [opts.publicKey] Public key to use instead of fetching it from the server
+   * @returns {Promise<OfflineSyncExport>}
+   */
+  async exportArchive(path, records, opts = {}) {
+
+    if (typeof path !== 'string' || path.length === 0)
+      throw new TypeError('Incorrect archive path given');
+
+    const result = await this.createArchive(records, opts);
+    await fs.promises.writeFile(path, result.archive, { mode: 0o600 });
+    return result;
+
+  }
+
+  /**
+   * Reads archive from the file if path is given
+   * @async
+   * @param {Buffer|String|OfflineSyncArchive} archive Archive contents, path to the archive file or parsed archive
+   * @returns {Promise<OfflineSyncArchive>}
+   */
+  static async load(archive) {
+
+    if (typeof archive === 'string')
+      archive = await fs.promises.readFile(archive);
+
+    if (Buffer.isBuffer(archive))
+      return parseArchive(archive);
+
+    if (!archive || typeof archive !== 'object')
+      throw new TypeError(`Archive must be a Buffer or path, but ${typeof archive} given`);
+
+    return archive;
+
+  }
+
+  /**
+   * Uploads archive part to its import endpoint
+   * @async
+   * @param {String} endpoint Import endpoint
+   * @param {OfflineSyncPart} part Archive part
+   * @returns {Promise<Array<OfflineSyncImportEntry>>}
+   */
+  async upload(endpoint, part) {
+
+    const res = await this.$.post(endpoint, {
+      file: [ Buffer.from(JSON.stringify(part), 'utf8'), { filename: `${part.part}.cattr`, contentType: 'application/json' } ]
+    }, { asFormData: true });
+
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    const entries = res.response.data;
+    return Array.isArray(entries) ? entries.map(OfflineSync.represent) : [];
+
+  }
+
+  /**
+   * Uploads intervals part of the archive
+   * @async
+   * @param {Buffer|String|OfflineSyncArchive} archive Archive contents, path to the archive file or parsed archive
+   * @returns {Promise<Array<OfflineSyncImportEntry>>}
+   */
+  async uploadIntervals(archive) {
+
+    const { intervals } = await OfflineSync.load(archive);
+    return this.upload('offline-sync/upload-intervals', intervals);
+
+  }
+
+  /**
+   * Uploads screenshots part of the archive
+   * @async
+   * @param {Buffer|String|OfflineSyncArchive} archive Archive contents, path to the archive file or parsed archive
+   * @returns {Promise<Array<OfflineSyncImportEntry>>} Empty if archive contains no screenshots
+   */
+  async uploadScreenshots(archive) {
+
+    const { screenshots } = await OfflineSync.load(archive);
+    return screenshots ? this.upload('offline-sync/upload-screenshots', screenshots) : [];
+
+  }
+
+  /**
+   * Imports archive: uploads intervals first, then screenshots attached to them
+   * @async
+   * @param {Buffer|String} archive Archive contents or path to the archive file
+   * @returns {Promise<OfflineSyncImportReport>}
+   */
+  async importArchive(archive) {
+
+    const parsed = await OfflineSync.load(archive);
+
+    const intervals = await this.uploadIntervals(parsed);
+    const screenshots = intervals.some(entry => entry.accepted) ? await this.uploadScreenshots(parsed) : [];
+    const accepted = intervals.filter(entry => entry.accepted).length;
+
+    return {
+      intervals,
+      screenshots,
+      accepted,
+      rejected: intervals.length - accepted,
+    };
+
+  }
+
 }
 
 module.exports = OfflineSync;
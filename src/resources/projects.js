@@ -1,3 +1,5 @@
+const { mapFields } = require('../fields');
+
 /**
  * Project entity
  * @typedef {Object} ProjectEntity
@@ -11,6 +13,37 @@
  * @property {Date|null}  deletedAt    Removal timestamp
  */
 
+/**
+ * Properties of the project being created or updated
+ * @typedef {Object} ProjectDTO
+ * @property {String}     [name]             Name
+ * @property {String}     [description]      Description
+ * @property {Boolean}    [important]        Is this project marked as important?
+ * @property {String}     [source]           Source of this project ("internal", "redmine", "gitlab", "jira", etc)
+ * @property {Number}     [screenshotsState] Screenshots capture state
+ */
+
+/**
+ * Project member
+ * @typedef {Object} ProjectMemberEntity
+ * @property {Number}      userId   User ID
+ * @property {Number}      roleId   ID of user's role within the project
+ * @property {String|null} fullName User's full name
+ * @property {String|null} email    User's email
+ */
+
+/**
+ * Mapping of ProjectDTO properties to the API fields
+ * @type {Object<String>}
+ */
+const PROJECT_FIELDS = {
+  name: 'name',
+  description: 'description',
+  important: 'important',
+  source: 'source',
+  screenshotsState: 'screenshots_state',
+};
+
 class CattrProjects {
 
   /**
@@ -21,6 +54,12 @@ class CattrProjects {
 
     this.$ = ctx;
 
+    /**
+     * Tails of the member list updates chains by project IDs
+     * @type {Map<Number, Promise>}
+     */
+    this.memberUpdates = new Map();
+
   }
 
   /**
@@ -45,6 +84,35 @@ class CattrProjects {
 
   }
 
+  /**
+   * Format raw project member
+   * @param {Object} raw Raw project member
+   * @returns {ProjectMemberEntity}
+   */
+  static representMember(raw) {
+
+    const user = raw.user || raw;
+
+    return {
+      userId: Number(raw.user_id ?? user.id),
+      roleId: Number(raw.role_id ?? raw.pivot?.role_id),
+      fullName: user.full_name ? String(user.full_name) : null,
+      email: user.email ? String(user.email) : null,
+    };
+
+  }
+
+  /**
+   * Format project DTO into the API request fields
+   * @param {ProjectDTO} dto Project properties
+   * @returns {Object} Request fields
+   */
+  static serialize(dto) {
+
+    return mapFields(dto, PROJECT_FIELDS);
+
+  }
+
   /**
    * Returns list of projects
    * @async
@@ -70,6 +138,274 @@ class CattrProjects {
 
   }
 
+  /**
+   * Returns project
+   * @async
+   * @param {Number} projectId Project ID
+   * @returns {Promise<ProjectEntity>}
+   */
+  async get(projectId) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    const res = await this.$.post('projects/show', { id: projectId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrProjects.represent(res.response.data);
+
+  }
+
+  /**
+   * Creates project
+   * @async
+   * @param {ProjectDTO} dto Properties of the new project
+   * @returns {Promise<ProjectEntity>}
+   */
+  async create(dto) {
+
+    if (!dto || typeof dto !== 'object')
+      throw new TypeError(`Properties of the new project must be passed as Object, but ${typeof dto} given`);
+
+    const res = await this.$.post('projects/create', CattrProjects.serialize(dto));
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrProjects.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates project
+   * @async
+   * @param {Number} projectId Project ID
+   * @param {ProjectDTO} patch Changed properties of the project
+   * @returns {Promise<ProjectEntity>}
+   */
+  async update(projectId, patch) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    if (!patch || typeof patch !== 'object')
+      throw new TypeError(`Changed properties of the project must be passed as Object, but ${typeof patch} given`);
+
+    const res = await this.$.post('projects/edit', { ...CattrProjects.serialize(patch), id: projectId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrProjects.represent(res.response.data);
+
+  }
+
+  /**
+   * Removes project
+   * @async
+   * @param {Number} projectId Identifier of project being removed
+   * @returns {Promise<Boolean>}
+   */
+  async remove(projectId) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    const res = await this.$.post('projects/remove', { id: projectId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Returns members of the project with their project roles
+   * @async
+   * @param {Number} projectId Project ID
+   * @returns {Promise<Array<ProjectMemberEntity>>}
+   */
+  async listMembers(projectId) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    const res = await this.$.post('project-members/list', { project_id: projectId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    // Members are listed either directly or within the project object
+    const members = Array.isArray(res.response.data) ? res.response.data : res.response.data.users;
+    return (members || []).map(CattrProjects.representMember);
+
+  }
+
+  /**
+   * Replaces members of the project
+   * @async
+   * @param {Number} projectId Project ID
+   * @param {Array<{ userId: Number, roleId: Number }>} members New members list
+   * @returns {Promise<Array<ProjectMemberEntity>>} Updated members list
+   */
+  async setMembers(projectId, members) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    if (!Array.isArray(members))
+      throw new TypeError(`Project members must be passed as Array, but ${typeof members} given`);
+
+    const res = await this.$.post('project-members/bulk-edit', {
+      project_id: projectId,
+      user_roles: members.map(({ userId, roleId }) => ({ user_id: userId, role_id: roleId })),
+    });
+
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return this.listMembers(projectId);
+
+  }
+
+  /**
+   * Applies changes to the project members list. Members list is read and written back as a whole,
+   * so updates of the same project are serialised. Concurrent edits made by other clients are not
+   * detected and can still be overwritten.
+   * @async
+   * @param {Number} projectId Project ID
+   * @param {Function} update Receives current members and returns the new list
+   * @returns {Promise<Array<ProjectMemberEntity>>} Updated members list
+   * @throws {Error} If role of any remaining member is unknown, nothing is written in this case
+   */
+  updateMembers(projectId, update) {
+
+    if (typeof projectId !== 'number')
+      throw new TypeError(`Project ID must be a Number, but ${typeof projectId} is given`);
+
+    const previous = this.memberUpdates.get(projectId) || Promise.resolve();
+    const result = previous.catch(() => {}).then(async () => {
+
+      const members = update(await this.listMembers(projectId));
+
+      // Bulk edit replaces the whole list, so members with unknown role can't be written back as is
+      const unknown = members.filter(member => !Number.isFinite(member.roleId));
+      if (unknown.length > 0)
+        throw new Error(`Role of project ${projectId} members ${unknown.map(member => member.userId).join(', ')} is unknown`);
+
+      return this.setMembers(projectId, members);
+
+    });
+
+    const tail = result.catch(() => {});
+    this.memberUpdates.set(projectId, tail);
+    tail.then(() => {
+
+      if (this.memberUpdates.get(projectId) === tail)
+        this.memberUpdates.delete(projectId);
+
+    });
+
+    return result;
+
+  }
+
+  /**
+   * Adds user to the project, or changes their project role if they are already a member.
+   * Not safe against concurrent edits of the project members made by other clients.
+   * @async
+   * @param {Number} projectId Project ID
+   * @param {Number} userId User ID
+   * @param {Number} roleId Project role ID
+   * @returns {Promise<Array<ProjectMemberEntity>>} Updated members list
+   */
+  async addMember(projectId, userId, roleId) {
+
+    if (typeof userId !== 'number')
+      throw new TypeError(`User ID must be a Number, but ${typeof userId} is given`);
+
+    if (!Number.isFinite(roleId))
+      throw new TypeError(`Role ID must be a finite Number, but ${roleId} is given`);
+
+    return this.updateMembers(projectId, members => [
+      ...members.filter(member => member.userId !== userId),
+      { userId, roleId },
+    ]);
+
+  }
+
+  /**
+   * Removes user from the project.
+   * Not safe against concurrent edits of the project members made by other clients.
+   * @async
+   * @param {Number} projectId Project ID
+   * @param {Number} userId User ID
+   * @returns {Promise<Array<ProjectMemberEntity>>} Updated members list
+   */
+  async removeMember(projectId, userId) {
+
+    if (typeof userId !== 'number')
+      throw new TypeError(`User ID must be a Number, but ${typeof userId} is given`);
+
+    return this.updateMembers(projectId, members => members.filter(member => member.userId !== userId));
+
+  }
+
+  /**
+   * Iterates over projects page by page
+   * @async
+   * @generator
+   * @param {Object} [filters] Filtering options according to API documentation
+   * @param {Object} [opts] Pagination options
+   * @param {Number} [opts.perPage=100] Amount of projects per page
+   * @param {Number} [opts.concurrency=1] Amount of pages fetched simultaneously
+   * @yields {ProjectEntity}
+   */
+  async* iterate(filters, opts = {}) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Projects filtering options must be an Object, but ${typeof filters} given`);
+
+    yield* this.$.paginate('projects/list', {
+      body: filters || {}, perPage: opts.perPage, concurrency: opts.concurrency, represent: CattrProjects.represent
+    });
+
+  }
+
 }
 
 module.exports = CattrProjects;
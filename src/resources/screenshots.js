@@ -1,3 +1,5 @@
+const ScreenshotPipeline = require('../screenshot-pipeline');
+
 /**
  * Screenshot data object
  * @typedef  {Object} ScreenshotEntry
@@ -9,6 +11,13 @@
  * @property {Date}   updatedAt     Date of last edit
  */
 
+/**
+ * Screenshot download options
+ * @typedef  {Object}  ScreenshotDownloadOptions
+ * @property {Boolean} [thumbnail=false] Download thumbnail instead of the full image
+ * @property {Boolean} [stream=false]    Resolve with a readable stream instead of a Buffer
+ */
+
 class CattrScreenshots {
 
   /**
@@ -19,6 +28,40 @@ class CattrScreenshots {
 
     this.$ = ctx;
 
+    /**
+     * Pre-processing pipeline applied to uploaded screenshots, disabled until configured
+     * @type {ScreenshotPipeline|null}
+     */
+    this.pipeline = null;
+
+  }
+
+  /**
+   * Configures pre-processing of uploaded screenshots
+   * @param {ScreenshotPipelineOptions|ScreenshotPipeline} opts Pipeline options or pipeline itself
+   * @returns {ScreenshotPipeline} Applied pipeline, use it to register transforms
+   */
+  usePipeline(opts) {
+
+    this.pipeline = (opts instanceof ScreenshotPipeline) ? opts : new ScreenshotPipeline(opts);
+    return this.pipeline;
+
+  }
+
+  /**
+   * Runs screenshot through the pipeline, if it is configured, and builds form field value for it
+   * @async
+   * @param {Buffer} screenshot Screenshot contents
+   * @returns {Promise<Array>} File contents along with the file options for FormData
+   */
+  async prepare(screenshot) {
+
+    const prepared = this.pipeline && await this.pipeline.process(screenshot);
+    const { buffer, filename, contentType } = prepared ||
+      ScreenshotPipeline.describe(screenshot, ScreenshotPipeline.detect(screenshot));
+
+    return [ buffer, { filename, contentType } ];
+
   }
 
   /**
@@ -39,6 +82,94 @@ class CattrScreenshots {
 
   }
 
+  /**
+   * Returns list of screenshots
+   * @async
+   * @param {Object} [filters] Filtering options according to API documentation
+   * @returns {Promise<Array<ScreenshotEntry>>}
+   */
+  async list(filters) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Screenshots filtering options must be an Object, but ${typeof filters} given`);
+
+    const res = await this.$.post('screenshots/list', filters || {}, { noPaginate: true });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return res.response.data.map(CattrScreenshots.represent);
+
+  }
+
+  /**
+   * Returns screenshot
+   * @async
+   * @param {Number} screenshotId Screenshot ID
+   * @returns {Promise<ScreenshotEntry>}
+   */
+  async get(screenshotId) {
+
+    if (typeof screenshotId !== 'number')
+      throw new TypeError(`Screenshot ID must be a Number, but ${typeof screenshotId} is given`);
+
+    const res = await this.$.post('screenshots/show', { id: screenshotId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrScreenshots.represent(res.response.data);
+
+  }
+
+  /**
+   * Downloads screenshot image using the current token.
+   * Relative image paths are resolved against the base URL, images hosted elsewhere are downloaded anonymously.
+   * @async
+   * @param {ScreenshotEntry|Number} screenshot Screenshot entry or its ID
+   * @param {ScreenshotDownloadOptions} [opts] Download options
+   * @returns {Promise<Buffer|Readable>} Image contents
+   */
+  async download(screenshot, opts = {}) {
+
+    if (typeof screenshot === 'number')
+      screenshot = await this.get(screenshot);
+
+    if (!screenshot || typeof screenshot !== 'object')
+      throw new TypeError(`Screenshot must be a ScreenshotEntry or ID, but ${typeof screenshot} is given`);
+
+    const url = opts.thumbnail ? screenshot.thumbnailPath : screenshot.path;
+    if (typeof url !== 'string' || url.length === 0 || url === 'null')
+      throw new TypeError(`Screenshot ${screenshot.id} has no ${opts.thumbnail ? 'thumbnail' : 'image'} path`);
+
+    // Token is never sent to third-party hosts (like object storages)
+    const baseUrl = this.$.baseUrl ? new URL(this.$.baseUrl) : null;
+    const isForeign = /^[a-z][a-z\d+.-]*:\/\//i.test(url) && (!baseUrl || new URL(url).origin !== baseUrl.origin);
+
+    const res = await this.$.get(url, { responseType: opts.stream ? 'stream' : 'arraybuffer', noAuth: isForeign });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return opts.stream ? res.response : Buffer.from(res.response);
+
+  }
+
   /**
    * Uploads a screenshot
    * @async
@@ -55,7 +186,7 @@ class CattrScreenshots {
 
     const reqData = {};
     reqData.time_interval_id = intervalId;
-    reqData.screenshot = [ screenshot, { filename: 'screenshot.jpeg' } ];
+    reqData.screenshot = await this.prepare(screenshot);
 
     const res = await this.$.post('screenshots/create', reqData, { asFormData: true });
     if (!res.success) {
@@ -71,6 +202,31 @@ class CattrScreenshots {
 
   }
 
+  /**
+   * Removes screenshot
+   * @async
+   * @param {Number} screenshotId Identifier of screenshot being removed
+   * @returns {Promise<Boolean>}
+   */
+  async remove(screenshotId) {
+
+    if (typeof screenshotId !== 'number')
+      throw new TypeError(`Screenshot ID must be a Number, but ${typeof screenshotId} is given`);
+
+    const res = await this.$.post('screenshots/remove', { id: screenshotId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
 }
 
 module.exports = CattrScreenshots;
@@ -1,3 +1,5 @@
+const { mapFields } = require('../fields');
+
 /**
  * Data object representing task
  * @typedef {Object} TaskEntity
@@ -16,6 +18,42 @@
  * @property {Date|null} deletedAt Timestamp of removal
  */
 
+/**
+ * Properties of the task being created or updated
+ * @typedef {Object} TaskDTO
+ * @property {Number} [projectId] ID of associated project
+ * @property {String} [name] Task subject
+ * @property {String} [description] Task description
+ * @property {Boolean} [isActive] Is task active?
+ * @property {Boolean} [isImportant] Is this task important?
+ * @property {String|null} [url] Direct link to the task
+ * @property {Number} [assigneeId] Identifier of user, assigned to this task
+ * @property {Number} [assignedById] Who assigned this task?
+ * @property {Number} [priorityId] ID of this task priority
+ */
+
+/**
+ * Task request options
+ * @typedef {Object} TaskRequestOptions
+ * @property {Boolean} [raw=false] Return raw backend objects instead of TaskEntity
+ */
+
+/**
+ * Mapping of TaskDTO properties to the API fields
+ * @type {Object<String>}
+ */
+const TASK_FIELDS = {
+  projectId: 'project_id',
+  name: 'task_name',
+  description: 'description',
+  isActive: 'active',
+  isImportant: 'important',
+  url: 'url',
+  assigneeId: 'user_id',
+  assignedById: 'assigned_by',
+  priorityId: 'priority_id',
+};
+
 class CattrTasks {
 
   /**
@@ -55,18 +93,56 @@ class CattrTasks {
 
   }
 
+  /**
+   * Format task DTO into the API request fields
+   * @param {TaskDTO} dto Task properties
+   * @returns {Object} Request fields
+   */
+  static serialize(dto) {
+
+    return mapFields(dto, TASK_FIELDS);
+
+  }
+
   /**
    * Returns list of tasks
    * @async
-   * @param {Object} [opts] Filtering options according to API documentation
+   * @param {Object} [filters] Filtering options according to API documentation
+   * @param {TaskRequestOptions} [opts] Request options
    * @returns {Promise<Array<TaskEntity>>}
    */
-  async list(opts) {
+  async list(filters, opts = {}) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Tasks filtering options must be an Object, but ${typeof filters} given`);
+
+    const res = await this.$.post('tasks/list', filters || {}, { noPaginate: true });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return opts.raw ? res.response.data : res.response.data.map(CattrTasks.represent);
+
+  }
+
+  /**
+   * Returns task
+   * @async
+   * @param {Number} taskId Task ID
+   * @param {TaskRequestOptions} [opts] Request options
+   * @returns {Promise<TaskEntity>}
+   */
+  async get(taskId, opts = {}) {
 
-    if (opts && typeof opts !== 'object')
-      throw new TypeError(`Tasks filtering options must be an Object, but ${typeof opts} given`);
+    if (typeof taskId !== 'number')
+      throw new TypeError(`Task ID must be a Number, but ${typeof taskId} is given`);
 
-    const res = await this.$.post('tasks/list', opts || {}, { noPaginate: true });
+    const res = await this.$.post('tasks/show', { id: taskId });
     if (!res.success) {
 
       if (res.isNetworkError)
@@ -76,16 +152,23 @@ class CattrTasks {
 
     }
 
-    return res.response.data;
+    return opts.raw ? res.response.data : CattrTasks.represent(res.response.data);
 
   }
 
-  async create(opts) {
+  /**
+   * Creates task
+   * @async
+   * @param {TaskDTO} dto Properties of the new task
+   * @param {TaskRequestOptions} [opts] Request options
+   * @returns {Promise<TaskEntity>}
+   */
+  async create(dto, opts = {}) {
 
-    if (opts && typeof opts !== 'object')
-      throw new TypeError(`Properties of the new task must be passed as Object, but ${typeof opts} given`);
+    if (dto && typeof dto !== 'object')
+      throw new TypeError(`Properties of the new task must be passed as Object, but ${typeof dto} given`);
 
-    const res = await this.$.post('tasks/create', opts || {});
+    const res = await this.$.post('tasks/create', CattrTasks.serialize(dto || {}));
     if (!res.success) {
 
       if (res.isNetworkError)
@@ -95,7 +178,87 @@ class CattrTasks {
 
     }
 
-    return res.response.data;
+    return opts.raw ? res.response.data : CattrTasks.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates task
+   * @async
+   * @param {Number} taskId Task ID
+   * @param {TaskDTO} patch Changed properties of the task
+   * @param {TaskRequestOptions} [opts] Request options
+   * @returns {Promise<TaskEntity>}
+   */
+  async update(taskId, patch, opts = {}) {
+
+    if (typeof taskId !== 'number')
+      throw new TypeError(`Task ID must be a Number, but ${typeof taskId} is given`);
+
+    if (!patch || typeof patch !== 'object')
+      throw new TypeError(`Changed properties of the task must be passed as Object, but ${typeof patch} given`);
+
+    const res = await this.$.post('tasks/edit', { ...CattrTasks.serialize(patch), id: taskId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return opts.raw ? res.response.data : CattrTasks.represent(res.response.data);
+
+  }
+
+  /**
+   * Removes task
+   * @async
+   * @param {Number} taskId Identifier of task being removed
+   * @returns {Promise<Boolean>}
+   */
+  async remove(taskId) {
+
+    if (typeof taskId !== 'number')
+      throw new TypeError(`Task ID must be a Number, but ${typeof taskId} is given`);
+
+    const res = await this.$.post('tasks/remove', { id: taskId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Iterates over tasks page by page
+   * @async
+   * @generator
+   * @param {Object} [filters] Filtering options according to API documentation
+   * @param {Object} [opts] Pagination options
+   * @param {Number} [opts.perPage=100] Amount of tasks per page
+   * @param {Number} [opts.concurrency=1] Amount of pages fetched simultaneously
+   * @param {Boolean} [opts.raw=false] Yield raw backend objects instead of TaskEntity
+   * @yields {TaskEntity}
+   */
+  async* iterate(filters, opts = {}) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Tasks filtering options must be an Object, but ${typeof filters} given`);
+
+    yield* this.$.paginate('tasks/list', {
+      body: filters || {},
+      perPage: opts.perPage,
+      concurrency: opts.concurrency,
+      represent: opts.raw ? undefined : CattrTasks.represent,
+    });
 
   }
 
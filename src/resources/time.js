@@ -17,6 +17,178 @@
  * @property {Number} time       Time in seconds
  */
 
+/**
+ * Report filter. Not every report supports every ID filter, see the report methods.
+ * @typedef  {Object}        ReportFilters
+ * @property {Date}          start        Start of the report period
+ * @property {Date}          end          End of the report period
+ * @property {Array<Number>} [userIds]    Time of these users only
+ * @property {Array<Number>} [projectIds] Time of these projects only
+ * @property {Array<Number>} [taskIds]    Time of these tasks only
+ */
+
+/**
+ * Task within the project report
+ * @typedef  {Object} ProjectReportTask
+ * @property {Number} id   Task ID
+ * @property {String} name Task subject
+ * @property {Number} time Tracked time in seconds
+ */
+
+/**
+ * User within the project report
+ * @typedef  {Object}                   ProjectReportUser
+ * @property {Number}                   id       User ID
+ * @property {String}                   fullName Full name
+ * @property {String|null}              email    Email
+ * @property {Number}                   time     Tracked time in seconds
+ * @property {Array<ProjectReportTask>} tasks    Time per task
+ */
+
+/**
+ * Project report entry
+ * @typedef  {Object}                   ProjectReportEntry
+ * @property {Number}                   id    Project ID
+ * @property {String}                   name  Project name
+ * @property {Number}                   time  Tracked time in seconds
+ * @property {Array<ProjectReportUser>} users Time per user
+ */
+
+/**
+ * Task within the time-use report
+ * @typedef  {Object} TimeUseReportTask
+ * @property {Number} id          Task ID
+ * @property {String} name        Task subject
+ * @property {Number} projectId   Project ID
+ * @property {String} projectName Project name
+ * @property {Number} time        Tracked time in seconds
+ */
+
+/**
+ * Time-use report entry
+ * @typedef  {Object}                   TimeUseReportEntry
+ * @property {Number}                   userId   User ID
+ * @property {String|null}              fullName Full name
+ * @property {Number}                   time     Tracked time in seconds
+ * @property {Array<TimeUseReportTask>} tasks    Time per task
+ */
+
+/**
+ * Interval on the dashboard timeline
+ * @typedef  {Object} TimelineInterval
+ * @property {Number} id        Interval ID
+ * @property {Number} userId    User ID
+ * @property {Number} taskId    Task ID
+ * @property {Number} projectId Project ID
+ * @property {Date}   start     Start of the interval
+ * @property {Date}   end       End of the interval
+ * @property {Number} duration  Duration in seconds
+ */
+
+/**
+ * Time tracked by user within a day
+ * @typedef  {Object} DailyTimeEntry
+ * @property {Number} userId User ID
+ * @property {String} date   Day in YYYY-MM-DD form
+ * @property {Number} time   Tracked time in seconds
+ */
+
+/**
+ * Names of the ID filters of every report endpoint, following the request validation of Cattr server.
+ * Filters missing here are not supported by the endpoint.
+ * @type {Object<Object<String>>}
+ */
+const REPORT_FILTER_FIELDS = {
+  'report/project': { userIds: 'uids', projectIds: 'pids' },
+  'report/time': { userIds: 'users' },
+  'report/dashboard': { userIds: 'user_ids', projectIds: 'project_ids' },
+};
+
+/**
+ * Checks optional array of IDs
+ * @param {String} name Filter name used in the error message
+ * @param {*} ids Given value
+ */
+const assertIds = (name, ids) => {
+
+  if (typeof ids !== 'undefined' && (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))))
+    throw new TypeError(`${name} must be an Array of integers`);
+
+};
+
+/**
+ * Checks report filter
+ * @param {ReportFilters} filters Report filter
+ */
+const assertFilters = filters => {
+
+  if (!filters || typeof filters !== 'object')
+    throw new TypeError(`Report filter must be an Object, but ${typeof filters} given`);
+
+  [ 'start', 'end' ].forEach(field => {
+
+    if (!(filters[field] instanceof Date) || Number.isNaN(filters[field].getTime()))
+      throw new TypeError(`Report ${field} must be a valid Date`);
+
+  });
+
+  if (filters.start > filters.end)
+    throw new RangeError('Report start must not be later than its end');
+
+  assertIds('User IDs', filters.userIds);
+  assertIds('Project IDs', filters.projectIds);
+  assertIds('Task IDs', filters.taskIds);
+
+};
+
+/**
+ * Formats date as YYYY-MM-DD within the given timezone
+ * @param {Date}   date     Date
+ * @param {String} timezone IANA timezone (like 'Europe/Moscow')
+ * @returns {String}
+ */
+const toDay = (date, timezone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit',
+}).format(date);
+
+/**
+ * Returns offset of the timezone from UTC at the given moment
+ * @param {Number} time     Timestamp in milliseconds
+ * @param {String} timezone IANA timezone
+ * @returns {Number} Offset in milliseconds
+ */
+const getOffset = (time, timezone) => {
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+
+    parts[type] = Number(value);
+
+  });
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(time / 1000) * 1000;
+
+};
+
+/**
+ * Returns start of the day following the given moment within the timezone
+ * @param {Number} time     Timestamp in milliseconds
+ * @param {String} timezone IANA timezone
+ * @returns {Number} Timestamp in milliseconds
+ */
+const getNextDay = (time, timezone) => {
+
+  const [ year, month, day ] = toDay(new Date(time), timezone).split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, day + 1);
+
+  // Offset at the midnight could differ from the current one due to DST
+  return midnight - getOffset(midnight - getOffset(time, timezone), timezone);
+
+};
+
 class CattrTime {
 
   /**
@@ -49,6 +221,231 @@ class CattrTime {
 
   }
 
+  /**
+   * Format raw project report entry
+   * @param {Object} raw Raw project entry
+   * @returns {ProjectReportEntry}
+   */
+  static representProject(raw) {
+
+    return {
+
+      id: Number(raw.id),
+      name: String(raw.name),
+      time: Number(raw.time),
+      users: (raw.users || []).map(user => ({
+        id: Number(user.id),
+        fullName: String(user.full_name),
+        email: user.email ? String(user.email) : null,
+        time: Number(user.time),
+        tasks: (user.tasks || []).map(task => ({
+          id: Number(task.id),
+          name: String(task.task_name),
+          time: Number(task.time),
+        })),
+      })),
+
+    };
+
+  }
+
+  /**
+   * Format raw time-use report entry
+   * @param {Object} raw Raw user entry
+   * @returns {TimeUseReportEntry}
+   */
+  static representTimeUse(raw) {
+
+    return {
+
+      userId: Number(raw.user_id),
+      fullName: raw.user?.full_name ? String(raw.user.full_name) : null,
+      time: Number(raw.total_time),
+      tasks: (raw.tasks || []).map(task => ({
+        id: Number(task.task_id),
+        name: String(task.task_name),
+        projectId: Number(task.project_id),
+        projectName: String(task.project_name),
+        time: Number(task.total_time),
+      })),
+
+    };
+
+  }
+
+  /**
+   * Format raw timeline interval
+   * @param {Object} raw Raw interval
+   * @returns {TimelineInterval}
+   */
+  static representTimeline(raw) {
+
+    return {
+
+      id: Number(raw.id),
+      userId: Number(raw.user_id),
+      taskId: Number(raw.task_id),
+      projectId: Number(raw.project_id),
+      start: new Date(raw.start_at),
+      end: new Date(raw.end_at),
+      duration: Number(raw.duration),
+
+    };
+
+  }
+
+  /**
+   * Converts report filter into the API request fields of the report endpoint
+   * @param {String} url Report endpoint
+   * @param {ReportFilters} filters Report filter
+   * @returns {Object} Request fields
+   * @throws {TypeError} If the endpoint does not support some of the given filters
+   */
+  static serializeFilters(url, filters) {
+
+    const fields = REPORT_FILTER_FIELDS[url] || {};
+    const reqData = {
+      start_at: filters.start.toISOString(),
+      end_at: filters.end.toISOString(),
+    };
+
+    [ 'userIds', 'projectIds', 'taskIds' ].forEach(filter => {
+
+      if (!filters[filter])
+        return;
+
+      if (!fields[filter])
+        throw new TypeError(`Report "${url}" cannot be filtered by ${filter}`);
+
+      reqData[fields[filter]] = filters[filter];
+
+    });
+
+    return reqData;
+
+  }
+
+  /**
+   * Sends report request
+   * @async
+   * @param {String} url Report endpoint
+   * @param {ReportFilters} filters Report filter
+   * @returns {Promise<*>} Report data
+   */
+  async report(url, filters) {
+
+    assertFilters(filters);
+
+    const res = await this.$.post(url, CattrTime.serializeFilters(url, filters));
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return res.response.data;
+
+  }
+
+  /**
+   * Returns project report: time per project, broken down by users and tasks
+   * @async
+   * @param {ReportFilters} filters Report filter, by users and projects only
+   * @returns {Promise<Array<ProjectReportEntry>>}
+   */
+  async getProjectReport(filters) {
+
+    const data = await this.report('report/project', filters);
+    return (Array.isArray(data) ? data : []).map(CattrTime.representProject);
+
+  }
+
+  /**
+   * Returns time-use report: time per user, broken down by tasks
+   * @async
+   * @param {ReportFilters} filters Report filter, by users only
+   * @returns {Promise<Array<TimeUseReportEntry>>}
+   */
+  async getTimeUseReport(filters) {
+
+    const data = await this.report('report/time', filters);
+    return (Array.isArray(data) ? data : []).map(CattrTime.representTimeUse);
+
+  }
+
+  /**
+   * Returns dashboard timeline: intervals of the selected users ordered by start
+   * @async
+   * @param {ReportFilters} filters Report filter, by users and projects only
+   * @returns {Promise<Array<TimelineInterval>>}
+   */
+  async getTimeline(filters) {
+
+    const data = await this.report('report/dashboard', filters);
+
+    // Intervals are grouped by user ID within the response
+    const intervals = Object.values(data?.userIntervals || {}).flatMap(user => user.intervals || []);
+    return intervals.map(CattrTime.representTimeline).sort((a, b) => a.start - b.start);
+
+  }
+
+  /**
+   * Returns time tracked by every user per day. Intervals crossing midnight are split between the days
+   * @async
+   * @param {ReportFilters} filters Report filter, by users and projects only
+   * @param {Object} [opts] Breakdown options
+   * @param {String} [opts.timezone='UTC'] Timezone used to split days (like 'Europe/Moscow')
+   * @returns {Promise<Array<DailyTimeEntry>>} Entries ordered by user and day
+   */
+  async getDailyBreakdown(filters, opts = {}) {
+
+    const timezone = opts.timezone || 'UTC';
+    const intervals = await this.getTimeline(filters);
+    const days = new Map();
+
+    const add = (userId, date, time) => {
+
+      const key = `${userId}:${date}`;
+
+      if (!days.has(key))
+        days.set(key, { userId, date, time: 0 });
+
+      days.get(key).time += time;
+
+    };
+
+    intervals.forEach(interval => {
+
+      const start = interval.start.getTime();
+      const end = interval.end.getTime();
+
+      if (!(end > start)) {
+
+        add(interval.userId, toDay(interval.start, timezone), interval.duration);
+        return;
+
+      }
+
+      // Tracked duration is shared between the days proportionally to the wall time
+      for (let from = start; from < end;) {
+
+        const to = Math.min(end, Math.max(from + 1, getNextDay(from, timezone)));
+        add(interval.userId, toDay(new Date(from), timezone), interval.duration * ((to - from) / (end - start)));
+        from = to;
+
+      }
+
+    });
+
+    return [ ...days.values() ]
+      .map(entry => ({ ...entry, time: Math.round(entry.time) }))
+      .sort((a, b) => a.userId - b.userId || a.date.localeCompare(b.date));
+
+  }
+
   /**
    * Returns total worked time
    * @async
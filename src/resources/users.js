@@ -0,0 +1,313 @@
+const { mapFields } = require('../fields');
+
+/**
+ * User entity
+ * @typedef  {Object} UserEntity
+ * @property {Number} id ID
+ * @property {String} fullName Full name
+ * @property {String} email Email
+ * @property {String|null} avatar Profile picture URL
+ * @property {Boolean} manualTimeEnabled Is manual time available?
+ * @property {Number} inactivityTimeout Inactivity detection period in seconds
+ * @property {Number} screenshotsState Screenshots capture state
+ * @property {Number} screenshotsInterval Maximum interval between screenshot capture
+ * @property {Boolean} appMonitoringEnabled Is Web/App Monitoring enabled?
+ * @property {Boolean} isActive Is this user active?
+ * @property {Boolean} isAdmin  Is this user have administration privileges?
+ * @property {Boolean} isImportant Is this user marked as important?
+ * @property {Boolean} forcePasswordReset Is this user enforced to change their password?
+ * @property {String} timezone User's timezone (like 'Europe/Moscow')
+ * @property {Date} createdAt Date of creation
+ * @property {Date} updatedAt Last update timestamp
+ * @property {Date|null} deletedAt Date of removal
+ */
+
+/**
+ * Properties of the user being created or updated
+ * @typedef  {Object} UserDTO
+ * @property {String} [fullName] Full name
+ * @property {String} [email] Email
+ * @property {String} [password] Password
+ * @property {Number} [roleId] Default role ID
+ * @property {Boolean} [manualTimeEnabled] Is manual time available?
+ * @property {Number} [inactivityTimeout] Inactivity detection period in seconds
+ * @property {Number} [screenshotsState] Screenshots capture state
+ * @property {Number} [screenshotsInterval] Maximum interval between screenshot capture
+ * @property {Boolean} [appMonitoringEnabled] Is Web/App Monitoring enabled?
+ * @property {Boolean} [isActive] Is this user active?
+ * @property {Boolean} [isAdmin] Is this user have administration privileges?
+ * @property {Boolean} [isImportant] Is this user marked as important?
+ * @property {Boolean} [forcePasswordReset] Is this user enforced to change their password?
+ * @property {String} [timezone] User's timezone (like 'Europe/Moscow')
+ * @property {String} [language] User's interface language
+ */
+
+/**
+ * Mapping of UserDTO properties to the API fields
+ * @type {Object<String>}
+ */
+const USER_FIELDS = {
+  fullName: 'full_name',
+  email: 'email',
+  password: 'password',
+  roleId: 'role_id',
+  manualTimeEnabled: 'manual_time',
+  inactivityTimeout: 'computer_time_popup',
+  screenshotsState: 'screenshots_state',
+  screenshotsInterval: 'screenshots_interval',
+  appMonitoringEnabled: 'web_and_app_monitoring',
+  isActive: 'active',
+  isAdmin: 'is_admin',
+  isImportant: 'important',
+  forcePasswordReset: 'change_password',
+  timezone: 'timezone',
+  language: 'user_language',
+};
+
+class CattrUsers {
+
+  /**
+   * Initializes Users resource interface
+   * @param {Cattr} ctx Base class context
+   */
+  constructor(ctx) {
+
+    this.$ = ctx;
+
+  }
+
+  /**
+   * Format UserEntity
+   * @param {Object} user Raw object representing user
+   * @returns {UserEntity}
+   */
+  static represent(user) {
+
+    return {
+
+      id: Number(user.id),
+      fullName: String(user.full_name),
+      email: String(user.email),
+      avatar: user.avatar ? String(user.avatar) : null,
+      manualTimeEnabled: Boolean(user.manual_time),
+      inactivityTimeout: Number(user.computer_time_popup),
+      screenshotsState: Number(user.screenshots_state),
+      screenshotsInterval: Number(user.screenshots_interval),
+      appMonitoringEnabled: Boolean(user.web_and_app_monitoring),
+      isActive: Boolean(user.active),
+      isAdmin: Boolean(user.is_admin),
+      isImportant: Boolean(user.important),
+      forcePasswordReset: Boolean(user.change_password),
+      timezone: String(user.timezone),
+      createdAt: new Date(user.created_at),
+      updatedAt: new Date(user.updated_at),
+      deletedAt: user.deleted_at ? new Date(user.deleted_at) : null,
+    };
+
+  }
+
+  /**
+   * Format user DTO into the API request fields
+   * @param {UserDTO} dto User properties
+   * @returns {Object} Request fields
+   */
+  static serialize(dto) {
+
+    return mapFields(dto, USER_FIELDS);
+
+  }
+
+  /**
+   * Returns list of users
+   * @async
+   * @param {Object} [filters] Filtering options according to API documentation
+   * @returns {Promise<Array<UserEntity>>}
+   */
+  async list(filters) {
+
+    if (filters && typeof filters !== 'object')
+      throw new TypeError(`Users filtering options must be an Object, but ${typeof filters} given`);
+
+    const res = await this.$.post('users/list', filters || {}, { noPaginate: true });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return res.response.data.map(CattrUsers.represent);
+
+  }
+
+  /**
+   * Returns user
+   * @async
+   * @param {Number} userId User ID
+   * @returns {Promise<UserEntity>}
+   */
+  async get(userId) {
+
+    if (typeof userId !== 'number')
+      throw new TypeError(`User ID must be a Number, but ${typeof userId} is given`);
+
+    const res = await this.$.post('users/show', { id: userId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrUsers.represent(res.response.data);
+
+  }
+
+  /**
+   * Creates user
+   * @async
+   * @param {UserDTO} dto Properties of the new user
+   * @returns {Promise<UserEntity>}
+   */
+  async create(dto) {
+
+    if (!dto || typeof dto !== 'object')
+      throw new TypeError(`Properties of the new user must be passed as Object, but ${typeof dto} given`);
+
+    const res = await this.$.post('users/create', CattrUsers.serialize(dto));
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrUsers.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates user
+   * @async
+   * @param {Number} userId User ID
+   * @param {UserDTO} patch Changed properties of the user
+   * @returns {Promise<UserEntity>}
+   */
+  async update(userId, patch) {
+
+    if (typeof userId !== 'number')
+      throw new TypeError(`User ID must be a Number, but ${typeof userId} is given`);
+
+    if (!patch || typeof patch !== 'object')
+      throw new TypeError(`Changed properties of the user must be passed as Object, but ${typeof patch} given`);
+
+    const res = await this.$.post('users/edit', { ...CattrUsers.serialize(patch), id: userId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return CattrUsers.represent(res.response.data);
+
+  }
+
+  /**
+   * Updates several users at once
+   * @async
+   * @param {Array<UserDTO & { id: Number }>} patches Changed properties of every user along with their IDs
+   * @returns {Promise<Boolean>}
+   */
+  async bulkEdit(patches) {
+
+    if (!Array.isArray(patches) || patches.some(patch => !patch || typeof patch.id !== 'number'))
+      throw new TypeError('Users patches must be an Array of objects with numeric IDs');
+
+    const res = await this.$.post('users/bulk-edit', { users: patches.map(CattrUsers.serialize) });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Removes user
+   * @async
+   * @param {Number} userId Identifier of user being removed
+   * @returns {Promise<Boolean>}
+   */
+  async remove(userId) {
+
+    if (typeof userId !== 'number')
+      throw new TypeError(`User ID must be a Number, but ${typeof userId} is given`);
+
+    const res = await this.$.post('users/remove', { id: userId });
+    if (!res.success) {
+
+      if (res.isNetworkError)
+        throw new this.$.NetworkError(res);
+
+      throw new this.$.ApiError(res);
+
+    }
+
+    return true;
+
+  }
+
+  /**
+   * Activates user
+   * @async
+   * @param {Number} userId User ID
+   * @returns {Promise<UserEntity>}
+   */
+  async activate(userId) {
+
+    return this.update(userId, { isActive: true });
+
+  }
+
+  /**
+   * Deactivates user
+   * @async
+   * @param {Number} userId User ID
+   * @returns {Promise<UserEntity>}
+   */
+  async deactivate(userId) {
+
+    return this.update(userId, { isActive: false });
+
+  }
+
+  /**
+   * Enforces user to change their password on the next login
+   * @async
+   * @param {Number} userId User ID
+   * @param {Boolean} [enforce=true] Enforce or cancel password reset
+   * @returns {Promise<UserEntity>}
+   */
+  async enforcePasswordReset(userId, enforce = true) {
+
+    return this.update(userId, { forcePasswordReset: Boolean(enforce) });
+
+  }
+
+}
+
+module.exports = CattrUsers;
@@ -0,0 +1,145 @@
+/**
+ * Retry policy
+ * @typedef  {Object}        RetryPolicy
+ * @property {Number}        attempts    Maximum amount of attempts, including the first one
+ * @property {Number}        minDelay    Delay before the first retry in milliseconds
+ * @property {Number}        maxDelay    Upper bound of the delay between attempts in milliseconds
+ * @property {Number}        factor      Exponential backoff factor
+ * @property {Boolean}       jitter      Randomize delays to avoid synchronized retries of many clients
+ * @property {Array<Number>} statusCodes HTTP status codes which are worth retrying
+ * @property {Array<String>} methods     Request methods retried by default (idempotent ones)
+ */
+
+/**
+ * Default retry policy
+ * @type {RetryPolicy}
+ */
+const DEFAULT_POLICY = {
+  attempts: 3,
+  minDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [ 408, 429, 500, 502, 503, 504 ],
+  methods: [ 'get', 'head', 'put', 'delete' ],
+};
+
+/**
+ * Status codes which are allowed to carry the Retry-After header
+ * @type {Array<Number>}
+ */
+const RETRY_AFTER_STATUSES = [ 429, 503 ];
+
+/**
+ * Resolves policy applied to the particular request
+ * @param {String}                 method       Request method
+ * @param {RetryPolicy}            clientPolicy Client-wide retry policy
+ * @param {Boolean|Object|undefined} override   Per-request override: false disables retries,
+ *                                              true enables them for any method, object overrides policy fields
+ * @returns {RetryPolicy|null} Applied policy, or null if request must not be retried
+ */
+const resolvePolicy = (method, clientPolicy, override) => {
+
+  if (override === false)
+    return null;
+
+  const policy = { ...DEFAULT_POLICY, ...clientPolicy };
+
+  if (typeof override === 'object' && override !== null)
+    Object.assign(policy, override);
+
+  // Non-idempotent requests are retried only when caller explicitly asks for it
+  if (typeof override === 'undefined' && !policy.methods.includes(method))
+    return null;
+
+  if (!Number.isInteger(policy.attempts) || policy.attempts < 2)
+    return null;
+
+  return policy;
+
+};
+
+/**
+ * Parses Retry-After header value
+ * @param {String|undefined} value Header value, either delay in seconds or HTTP date
+ * @returns {Number|null} Delay in milliseconds
+ */
+const parseRetryAfter = value => {
+
+  if (typeof value !== 'string' || value.trim().length === 0)
+    return null;
+
+  if (/^\d+$/.test(value.trim()))
+    return Number(value.trim()) * 1000;
+
+  const date = Date.parse(value);
+  if (Number.isNaN(date))
+    return null;
+
+  return Math.max(0, date - Date.now());
+
+};
+
+/**
+ * Checks is failed request worth retrying
+ * @param {RetryPolicy}   policy Applied policy
+ * @param {RequestResult} result Result of the failed attempt
+ * @returns {Boolean}
+ */
+const isRetryable = (policy, result) => {
+
+  if (result.isNetworkError)
+    return true;
+
+  const status = result.error && result.error.response && result.error.response.status;
+  return policy.statusCodes.includes(status);
+
+};
+
+/**
+ * Computes delay before the next attempt
+ * @param {RetryPolicy}   policy  Applied policy
+ * @param {Number}        attempt Number of the failed attempt, starting from 1
+ * @param {RequestResult} result  Result of the failed attempt
+ * @returns {Number|null} Delay in milliseconds, or null if server asks to wait longer than policy allows
+ */
+const getDelay = (policy, attempt, result) => {
+
+  const response = result.error && result.error.response;
+  if (response && RETRY_AFTER_STATUSES.includes(response.status) && response.headers) {
+
+    const retryAfter = parseRetryAfter(response.headers['retry-after']);
+    if (retryAfter !== null)
+      return (retryAfter <= policy.maxDelay) ? retryAfter : null;
+
+  }
+
+  const delay = Math.min(policy.maxDelay, policy.minDelay * (policy.factor ** (attempt - 1)));
+
+  // "Full jitter" strategy
+  if (policy.jitter)
+    return Math.round(Math.random() * delay);
+
+  return delay;
+
+};
+
+/**
+ * Resolves after the given delay
+ * @param {Number} ms Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = ms => new Promise(resolve => {
+
+  setTimeout(resolve, ms);
+
+});
+
+module.exports = {
+  DEFAULT_POLICY,
+  resolvePolicy,
+  parseRetryAfter,
+  isRetryable,
+  getDelay,
+  sleep,
+};
@@ -0,0 +1,205 @@
+const ScreenshotError = require('./errors/screenshot');
+
+/**
+ * Lowest JPEG quality used while fitting image into the size limit
+ * @type {Number}
+ */
+const MIN_QUALITY = 40;
+
+/**
+ * Scale factor applied on every downscaling step
+ * @type {Number}
+ */
+const SCALE_STEP = 0.75;
+
+/**
+ * Smallest side length image is allowed to be downscaled to
+ * @type {Number}
+ */
+const MIN_SIDE = 64;
+
+/**
+ * Decoded image
+ * @typedef  {Object} RawImage
+ * @property {Number} width  Width in pixels
+ * @property {Number} height Height in pixels
+ * @property {Buffer} data   Pixels in RGBA order, 4 bytes per pixel
+ */
+
+/**
+ * Codec task
+ * @typedef  {Object}      CodecTask
+ * @property {String}      operation Operation: "decode", "fit" or "process" (decode and fit)
+ * @property {Buffer}      [buffer]  Encoded image, for "decode" and "process"
+ * @property {ImageFormat} [format]  Format of the encoded image, for "decode" and "process"
+ * @property {RawImage}    [image]   Decoded image, for "fit"
+ * @property {Number}      [quality] JPEG quality, for "fit" and "process"
+ * @property {Number|null} [maxSize] Maximum size of the encoded image in bytes, for "fit" and "process"
+ */
+
+/**
+ * Lets other tasks of the event loop run
+ * @returns {Promise<void>}
+ */
+const tick = () => new Promise(resolve => {
+
+  setImmediate(resolve);
+
+});
+
+/**
+ * Decodes JPEG or PNG image
+ * @param {Buffer}      buffer Image contents
+ * @param {ImageFormat} format Image format
+ * @returns {RawImage}
+ */
+const decode = (buffer, format) => {
+
+  /* eslint-disable global-require */
+  if (format.format === 'jpeg') {
+
+    const { width, height, data } = require('jpeg-js').decode(buffer, { formatAsRGBA: true, useTArray: true });
+    return { width, height, data: Buffer.from(data.buffer, data.byteOffset, data.byteLength) };
+
+  }
+
+  if (format.format === 'png') {
+
+    const { width, height, data } = require('pngjs').PNG.sync.read(buffer);
+    return { width, height, data };
+
+  }
+  /* eslint-enable global-require */
+
+  throw new ScreenshotError(`Screenshot format "${format.format}" cannot be processed, only JPEG and PNG are supported`, 'unsupported-format');
+
+};
+
+/**
+ * Encodes image into JPEG
+ * @param {RawImage} image   Image
+ * @param {Number}   quality JPEG quality
+ * @returns {Buffer}
+ */
+// eslint-disable-next-line global-require
+const encode = (image, quality) => require('jpeg-js').encode(image, quality).data;
+
+/**
+ * Downscales image using bilinear interpolation
+ * @param {RawImage} image  Source image
+ * @param {Number}   width  Target width
+ * @param {Number}   height Target height
+ * @returns {RawImage}
+ */
+const resize = (image, width, height) => {
+
+  const data = Buffer.alloc(width * height * 4);
+  const xRatio = (image.width - 1) / Math.max(1, width - 1);
+  const yRatio = (image.height - 1) / Math.max(1, height - 1);
+
+  for (let y = 0; y < height; y += 1) {
+
+    const sy = y * yRatio;
+    const y0 = Math.floor(sy);
+    const y1 = Math.min(y0 + 1, image.height - 1);
+    const dy = sy - y0;
+
+    for (let x = 0; x < width; x += 1) {
+
+      const sx = x * xRatio;
+      const x0 = Math.floor(sx);
+      const x1 = Math.min(x0 + 1, image.width - 1);
+      const dx = sx - x0;
+
+      for (let channel = 0; channel < 4; channel += 1) {
+
+        const top = image.data[(y0 * image.width + x0) * 4 + channel] * (1 - dx) +
+          image.data[(y0 * image.width + x1) * 4 + channel] * dx;
+        const bottom = image.data[(y1 * image.width + x0) * 4 + channel] * (1 - dx) +
+          image.data[(y1 * image.width + x1) * 4 + channel] * dx;
+
+        data[(y * width + x) * 4 + channel] = Math.round(top * (1 - dy) + bottom * dy);
+
+      }
+
+    }
+
+  }
+
+  return { width, height, data };
+
+};
+
+/**
+ * Encodes image into JPEG, lowering quality and then resolution until it fits into the size limit.
+ * Event loop is released between the passes.
+ * @async
+ * @param {RawImage}    image   Image
+ * @param {Number}      quality Initial JPEG quality
+ * @param {Number|null} maxSize Maximum size of the encoded image in bytes
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const fit = async (image, quality, maxSize) => {
+
+  let encoded = encode(image, quality);
+
+  while (maxSize !== null && encoded.length > maxSize) {
+
+    // eslint-disable-next-line no-await-in-loop
+    await tick();
+
+    if (quality > MIN_QUALITY)
+      quality = Math.max(MIN_QUALITY, quality - 15);
+    else {
+
+      const width = Math.round(image.width * SCALE_STEP);
+      const height = Math.round(image.height * SCALE_STEP);
+
+      if (Math.min(width, height) < MIN_SIDE)
+        throw new ScreenshotError(`Screenshot cannot be shrinked to ${maxSize} bytes`, 'too-large');
+
+      image = resize(image, width, height);
+
+    }
+
+    encoded = encode(image, quality);
+
+  }
+
+  return encoded;
+
+};
+
+/**
+ * Runs codec task
+ * @async
+ * @param {CodecTask} task Task
+ * @returns {Promise<RawImage|Buffer>} Decoded image for "decode", encoded one otherwise
+ */
+const run = async task => {
+
+  if (task.operation === 'decode')
+    return decode(Buffer.from(task.buffer), task.format);
+
+  if (task.operation === 'fit')
+    return fit({ ...task.image, data: Buffer.from(task.image.data) }, task.quality, task.maxSize);
+
+  if (task.operation === 'process') {
+
+    const image = decode(Buffer.from(task.buffer), task.format);
+    await tick();
+    return fit(image, task.quality, task.maxSize);
+
+  }
+
+  throw new TypeError(`Unknown codec operation "${task.operation}"`);
+
+};
+
+module.exports = {
+  decode,
+  encode,
+  resize,
+  fit,
+  run,
+};
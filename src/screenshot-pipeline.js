@@ -0,0 +1,307 @@
+const path = require('path');
+const ScreenshotError = require('./errors/screenshot');
+const codec = require('./screenshot-codec');
+
+/**
+ * PNG file signature
+ * @type {Buffer}
+ */
+const PNG_SIGNATURE = Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]);
+
+/**
+ * Image format signatures
+ * @type {Array<{ format: String, mime: String, extension: String, test: Function }>}
+ */
+const SIGNATURES = [
+  {
+    format: 'jpeg',
+    mime: 'image/jpeg',
+    extension: 'jpeg',
+    test: buf => buf.length > 2 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF,
+  },
+  {
+    format: 'png',
+    mime: 'image/png',
+    extension: 'png',
+    test: buf => buf.length > 7 && buf.subarray(0, 8).equals(PNG_SIGNATURE),
+  },
+  {
+    format: 'gif',
+    mime: 'image/gif',
+    extension: 'gif',
+    test: buf => buf.length > 5 && [ 'GIF87a', 'GIF89a' ].includes(buf.toString('ascii', 0, 6)),
+  },
+  {
+    format: 'webp',
+    mime: 'image/webp',
+    extension: 'webp',
+    test: buf => buf.length > 11 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP',
+  },
+  {
+    format: 'bmp',
+    mime: 'image/bmp',
+    extension: 'bmp',
+    test: buf => buf.length > 1 && buf.toString('ascii', 0, 2) === 'BM',
+  },
+];
+
+/**
+ * Detected image format
+ * @typedef  {Object} ImageFormat
+ * @property {String} format    Format name ("jpeg", "png", "gif", "webp", "bmp")
+ * @property {String} mime      MIME type
+ * @property {String} extension File extension
+ */
+
+/**
+ * Image transform, may modify image in place or resolve with a new one
+ * @callback ScreenshotTransform
+ * @param {RawImage}    image  Decoded image
+ * @param {ImageFormat} format Source image format
+ * @returns {Promise<RawImage|void>|RawImage|void}
+ */
+
+/**
+ * Screenshot pipeline options
+ * @typedef  {Object}                     ScreenshotPipelineOptions
+ * @property {Number}                     [maxSize]    Maximum size of the uploaded file in bytes
+ * @property {Number}                     [quality=85] JPEG quality used on re-encoding
+ * @property {Array<ScreenshotTransform>} [transforms] Transforms applied to every screenshot
+ * @property {Boolean}                    [useWorker=true] Decode and encode images in a worker thread
+ */
+
+/**
+ * Prepared screenshot
+ * @typedef  {Object} PreparedScreenshot
+ * @property {Buffer} buffer      File contents
+ * @property {String} filename    File name with the correct extension
+ * @property {String} contentType MIME type
+ */
+
+/**
+ * Detects image format by its magic bytes
+ * @param {Buffer} buffer Image contents
+ * @returns {ImageFormat|null} Detected format, or null if format is unknown
+ */
+const detect = buffer => {
+
+  const signature = SIGNATURES.find(sig => sig.test(buffer));
+  if (!signature)
+    return null;
+
+  return { format: signature.format, mime: signature.mime, extension: signature.extension };
+
+};
+
+/**
+ * Formats which can be decoded, transformed and shrinked
+ * @type {Array<String>}
+ */
+const DECODABLE_FORMATS = [ 'jpeg', 'png' ];
+
+/**
+ * Runs codec task in a worker thread
+ * @async
+ * @param {CodecTask} task Task
+ * @returns {Promise<RawImage|Buffer>}
+ */
+const runInWorker = task => new Promise((resolve, reject) => {
+
+  // eslint-disable-next-line global-require
+  const { Worker } = require('worker_threads');
+  const worker = new Worker(path.join(__dirname, 'screenshot-worker.js'), { workerData: task });
+  let isSettled = false;
+
+  worker.once('message', ({ result, error }) => {
+
+    isSettled = true;
+    if (error)
+      reject(error.reason ? new ScreenshotError(error.message, error.reason) : new Error(error.message));
+    else
+      resolve(result.data ? { ...result, data: Buffer.from(result.data) } : Buffer.from(result));
+
+  });
+
+  worker.once('error', err => {
+
+    isSettled = true;
+    reject(err);
+
+  });
+
+  worker.once('exit', code => {
+
+    if (!isSettled)
+      reject(new Error(`Screenshot worker exited with code ${code}`));
+
+  });
+
+});
+
+/**
+ * Prepares screenshots before upload: fixes file name and MIME type according to the real format,
+ * applies transforms and fits screenshot into the size limit by re-encoding and downscaling.
+ * Implemented in pure JS, so only JPEG and PNG images can be transformed or shrinked,
+ * oversized images of other formats are passed as is. Decoding and encoding are CPU-heavy,
+ * so they run in a worker thread by default.
+ */
+class ScreenshotPipeline {
+
+  /**
+   * Creates pipeline
+   * @param {ScreenshotPipelineOptions} [opts] Pipeline options
+   */
+  constructor(opts = {}) {
+
+    if (typeof opts.maxSize !== 'undefined' && (!Number.isInteger(opts.maxSize) || opts.maxSize < 1))
+      throw new TypeError(`Maximum screenshot size must be a positive integer, but ${opts.maxSize} given`);
+
+    if (typeof opts.quality !== 'undefined' && (typeof opts.quality !== 'number' || opts.quality < 1 || opts.quality > 100))
+      throw new TypeError(`JPEG quality must be a number within 1-100, but ${opts.quality} given`);
+
+    /**
+     * Maximum size of the uploaded file in bytes
+     * @type {Number|null}
+     */
+    this.maxSize = opts.maxSize || null;
+
+    /**
+     * JPEG quality used on re-encoding
+     * @type {Number}
+     */
+    this.quality = opts.quality || 85;
+
+    /**
+     * Transforms applied to every screenshot
+     * @type {Array<ScreenshotTransform>}
+     */
+    this.transforms = [];
+
+    /**
+     * Are images decoded and encoded in a worker thread?
+     * @type {Boolean}
+     */
+    this.useWorker = opts.useWorker !== false;
+
+    (opts.transforms || []).forEach(transform => this.use(transform));
+
+  }
+
+  /**
+   * Registers transform
+   * @param {ScreenshotTransform} transform Transform function
+   * @returns {ScreenshotPipeline} This pipeline for chaining
+   */
+  use(transform) {
+
+    if (typeof transform !== 'function')
+      throw new TypeError(`Screenshot transform must be a function, but ${typeof transform} given`);
+
+    this.transforms.push(transform);
+    return this;
+
+  }
+
+  /**
+   * Prepares screenshot for upload
+   * @async
+   * @param {Buffer} buffer Screenshot contents
+   * @returns {Promise<PreparedScreenshot>}
+   * @throws {ScreenshotError} If screenshot has to be transformed but its format is not supported,
+   * or it cannot be shrinked to the size limit
+   */
+  async process(buffer) {
+
+    if (!Buffer.isBuffer(buffer))
+      throw new TypeError(`Screenshot must be a Buffer, but ${typeof buffer} is given`);
+
+    const format = detect(buffer);
+    const isDecodable = format !== null && DECODABLE_FORMATS.includes(format.format);
+    const isOversized = this.maxSize !== null && buffer.length > this.maxSize;
+
+    // Backend decides on the oversized screenshots which can't be shrinked here
+    if (this.transforms.length === 0 && (!isOversized || !isDecodable))
+      return ScreenshotPipeline.describe(buffer, format);
+
+    if (!isDecodable)
+      throw new ScreenshotError(`Screenshot format "${format ? format.format : 'unknown'}" cannot be transformed, only JPEG and PNG are supported`, 'unsupported-format');
+
+    if (this.transforms.length === 0) {
+
+      const encoded = await this.run({
+        operation: 'process', buffer, format, quality: this.quality, maxSize: this.maxSize,
+      });
+
+      return ScreenshotPipeline.describe(encoded, SIGNATURES[0]);
+
+    }
+
+    let image = await this.run({ operation: 'decode', buffer, format });
+
+    for (let i = 0; i < this.transforms.length; i += 1) {
+
+      // eslint-disable-next-line no-await-in-loop
+      const transformed = await this.transforms[i](image, format);
+      if (transformed)
+        image = transformed;
+
+    }
+
+    return ScreenshotPipeline.describe(await this.fit(image), SIGNATURES[0]);
+
+  }
+
+  /**
+   * Encodes image into JPEG, lowering quality and then resolution until it fits into the size limit
+   * @async
+   * @param {RawImage} image Image
+   * @returns {Promise<Buffer>} Encoded image
+   */
+  async fit(image) {
+
+    return this.run({
+      operation: 'fit', image, quality: this.quality, maxSize: this.maxSize,
+    });
+
+  }
+
+  /**
+   * Runs codec task in a worker thread, or in the current one yielding between the passes
+   * @async
+   * @param {CodecTask} task Task
+   * @returns {Promise<RawImage|Buffer>}
+   */
+  async run(task) {
+
+    return this.useWorker ? runInWorker(task) : codec.run(task);
+
+  }
+
+  /**
+   * Detects image format by its magic bytes
+   * @param {Buffer} buffer Image contents
+   * @returns {ImageFormat|null} Detected format, or null if format is unknown
+   */
+  static detect(buffer) {
+
+    return detect(buffer);
+
+  }
+
+  /**
+   * Builds prepared screenshot description
+   * @param {Buffer}           buffer Screenshot contents
+   * @param {ImageFormat|null} format Detected format
+   * @returns {PreparedScreenshot}
+   */
+  static describe(buffer, format) {
+
+    // Unknown formats are still labeled as JPEG, the same way as before
+    const { mime, extension } = format || SIGNATURES[0];
+    return { buffer, filename: `screenshot.${extension}`, contentType: mime };
+
+  }
+
+}
+
+module.exports = ScreenshotPipeline;
@@ -0,0 +1,8 @@
+const { parentPort, workerData } = require('worker_threads');
+const codec = require('./screenshot-codec');
+
+// Errors are passed as plain objects, since custom error classes are lost on the thread boundary
+codec.run(workerData).then(
+  result => parentPort.postMessage({ result }),
+  err => parentPort.postMessage({ error: { message: err.message, reason: err.reason || null } }),
+);
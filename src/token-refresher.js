@@ -0,0 +1,245 @@
+const Retry = require('./retry');
+
+/**
+ * Maximum delay supported by setTimeout
+ * @type {Number}
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Token refresh scheduler options
+ * @typedef  {Object} TokenRefresherOptions
+ * @property {Number} [leadTime=60000] How long before the expiration token should be refreshed, in milliseconds
+ */
+
+/**
+ * Renews access token shortly before its expiration. If both refresh and relogin fail,
+ * they are retried with exponential backoff until the token is renewed.
+ * @fires Cattr#token:failure When background renewal fails, with the amount of consecutive failures
+ *                            and the delay before the next attempt in milliseconds
+ */
+class TokenRefresher {
+
+  /**
+   * Initializes token refresh scheduler
+   * @param {Cattr} ctx Base class context
+   */
+  constructor(ctx) {
+
+    this.$ = ctx;
+
+    /**
+     * How long before the expiration token should be refreshed, in milliseconds
+     * @type {Number}
+     */
+    this.leadTime = 60000;
+
+    /**
+     * Backoff policy applied to failed renewals
+     * @type {RetryPolicy}
+     */
+    this.backoff = {
+      minDelay: 5000, maxDelay: 300000, factor: 2, jitter: true,
+    };
+
+    /**
+     * Amount of consecutive failed renewals
+     * @type {Number}
+     */
+    this.failures = 0;
+
+    /**
+     * Is scheduler running?
+     * @type {Boolean}
+     */
+    this.isRunning = false;
+
+    /**
+     * Pending refresh timer
+     * @type {Timeout|null}
+     */
+    this.timer = null;
+
+    this.onTokenRefreshed = token => {
+
+      this.failures = 0;
+      this.schedule(token);
+
+    };
+
+  }
+
+  /**
+   * Starts scheduler
+   * @async
+   * @param {TokenRefresherOptions} [opts] Scheduler options
+   * @returns {Promise<void>}
+   */
+  async start(opts = {}) {
+
+    if (typeof opts.leadTime !== 'undefined') {
+
+      if (typeof opts.leadTime !== 'number' || opts.leadTime < 0)
+        throw new TypeError(`Lead time must be a non-negative number, but ${opts.leadTime} given`);
+
+      this.leadTime = opts.leadTime;
+
+    }
+
+    if (this.isRunning)
+      return;
+
+    this.isRunning = true;
+    this.failures = 0;
+    this.$.on('token:refreshed', this.onTokenRefreshed);
+    this.$.on('login', this.onTokenRefreshed);
+    this.schedule(this.$.providers.token ? await this.$.providers.token.get() : null);
+
+  }
+
+  /**
+   * Stops scheduler
+   */
+  stop() {
+
+    this.isRunning = false;
+    this.$.removeListener('token:refreshed', this.onTokenRefreshed);
+    this.$.removeListener('login', this.onTokenRefreshed);
+    this.clearTimer();
+
+  }
+
+  /**
+   * Schedules refresh of the given token
+   * @param {TokenEntity|null} token Current token
+   */
+  schedule(token) {
+
+    this.clearTimer();
+
+    if (!this.isRunning || !token || !token.tokenExpire)
+      return;
+
+    const expiresAt = new Date(token.tokenExpire).getTime();
+    if (Number.isNaN(expiresAt))
+      return;
+
+    // Short-living tokens are refreshed in the middle of their lifetime instead of hammering the backend
+    const lifetime = Math.max(0, expiresAt - Date.now());
+    const delay = Math.max(lifetime - this.leadTime, lifetime / 2);
+
+    // Too distant dates are reached in several hops
+    this.setTimer(Math.min(delay, MAX_TIMEOUT), () => {
+
+      if (delay > MAX_TIMEOUT)
+        this.schedule(token);
+      else
+        this.refreshInBackground();
+
+    });
+
+  }
+
+  /**
+   * Renews token, retrying with backoff on failure
+   * @async
+   * @returns {Promise<void>}
+   */
+  async refreshInBackground() {
+
+    let isRefreshed;
+
+    try {
+
+      isRefreshed = await this.refresh();
+
+    } catch (err) {
+
+      isRefreshed = false;
+
+    }
+
+    // Successful renewal is scheduled by the "token:refreshed" listener
+    if (isRefreshed || !this.isRunning)
+      return;
+
+    this.failures += 1;
+    const delay = Retry.getDelay(this.backoff, this.failures, {});
+    this.$.emit('token:failure', this.failures, delay);
+    this.setTimer(delay, () => this.refreshInBackground());
+
+  }
+
+  /**
+   * Sets the pending timer, replacing the previous one
+   * @param {Number}   delay    Delay in milliseconds
+   * @param {Function} callback Timer callback
+   */
+  setTimer(delay, callback) {
+
+    this.clearTimer();
+
+    this.timer = setTimeout(() => {
+
+      this.timer = null;
+      callback();
+
+    }, delay);
+
+    // Scheduler should never keep the process alive
+    if (typeof this.timer.unref === 'function')
+      this.timer.unref();
+
+  }
+
+  /**
+   * Cancels the pending timer
+   */
+  clearTimer() {
+
+    if (this.timer) {
+
+      clearTimeout(this.timer);
+      this.timer = null;
+
+    }
+
+  }
+
+  /**
+   * Refreshes token now, falling back to relogin with stored credentials on failure.
+   * Shares the operation with concurrent refreshes and relogins.
+   * @async
+   * @returns {Promise<Boolean>} Is token renewed?
+   */
+  refresh() {
+
+    return this.$.authenticateExclusively(() => this.performRefresh());
+
+  }
+
+  /**
+   * Performs token refresh
+   * @async
+   * @returns {Promise<Boolean>} Is token renewed?
+   */
+  async performRefresh() {
+
+    try {
+
+      const token = await this.$.authentication.refresh();
+      await this.$.providers.token.set(token.token, token.tokenType, token.tokenExpire);
+      this.$.emit('token:refreshed', token);
+      return true;
+
+    } catch (err) {
+
+      return this.$.performRelogin();
+
+    }
+
+  }
+
+}
+
+module.exports = TokenRefresher;